@@ -1,25 +0,0 @@
-function BigInteger(a,b){if(null===a||void 0===a)this.digits=[],this.numberString="0",this.negative=!1;else if("string"===typeof a)if(this.numberString=a,"-"===a.charAt(0)?(a=a.substr(1),this.negative=!0):this.negative=!1,representsZero(a))this.digits=[],this.negative=!1;else{var c=Math.ceil(a.length/6);this.digits=Array(c);var d=a.length%6;this.digits[c-1]=parseInt(a.substr(0,0==d?6:d));for(d=1;d<c;d++)this.digits[d-1]=parseInt(a.substr(a.length-6*d,6))}else if("number"===typeof a)for(this.numberString=
-a.toString(),this.negative=0>a,a=Math.abs(a),this.digits=[];0<a;)this.digits.push(a%BigInteger.BASE),a=Math.floor(a/BigInteger.BASE);else this.digits=a,this.negative=b,this.numberString=null}BigInteger.BASE=1E6;BigInteger.ZERO=new BigInteger;BigInteger.ONE=new BigInteger(1);BigInteger.TWO=new BigInteger(2);BigInteger.THREE=new BigInteger(3);BigInteger.TEN=new BigInteger(10);BigInteger.NEGATIVE_ONE=new BigInteger(-1);BigInteger.BASE_AS_BIGINTEGER=new BigInteger(1E6);BigInteger.MAX_NATIVE=new BigInteger(9007199254740992);
-function stripLeadingZeroDigits(a){for(;0===a.digits[a.digits.length-1];)a.digits.length--}function representsZero(a){for(var b=0;b<a.length;b++)if("0"!==a.charAt(b))return!1;return!0}BigInteger.random=function(a){var b=function(a){return Math.floor(Math.random()*a)},c=Array(a.digits.length);c[c.length-1]=b(a.digits[a.digits.length-1]);for(a=0;a<c.length-1;a++)c[a]=b(BigInteger.BASE);b=new BigInteger(c,!1);stripLeadingZeroDigits(b);return b};
-BigInteger.max=function(){if(0===arguments.length)throw"No arguments passed.";for(var a=arguments[0],b=1;b<arguments.length;b++)0<arguments[b].compare(a)&&(a=arguments[b]);return a};BigInteger.min=function(){if(0===arguments.length)throw"No arguments passed.";for(var a=arguments[0],b=1;b<arguments.length;b++)0>arguments[b].compare(a)&&(a=arguments[b]);return a};
-BigInteger.valueOf=function(a,b){if(representsZero(a))return BigInteger.ZERO;var c=BigInteger.ZERO;"-"===a.charAt(0)?(a=a.substr(1),c.negative=!0):c.negative=!1;for(var d=new BigInteger(b),e=BigInteger.ONE,f=0;f<a.length;f++){var h=BigInteger,g;g=a.charAt(a.length-1-f);isNaN(g)?(g=g.toUpperCase(),g="ABCDEFGHIJKLMNOPQRSTUVWXYZ".indexOf(g)+10):g=parseInt(g);h=new h(g);h.isZero()||(c=c.add(h.multiply(e)));e=e.multiply(d)}return c};
-BigInteger.prototype.toString=function(a){if(null===a||2>a||36<a)throw"Base not in acceptable range of [2, 36]";if(this.isZero())return this.numberString="0";if(void 0===a||10===a){if(null!==this.numberString)return this.numberString;this.numberString="";for(var b=0;b<this.digits.length-1;b++){var c=(this.digits[b]+BigInteger.BASE).toString();this.numberString=c.substr(1,c.length)+this.numberString}return this.numberString=(this.negative?"-":"")+this.digits[this.digits.length-1]+this.numberString}b=
-"";c=this;for(a=new BigInteger(a);!c.isZero();){var d;d=c.modulo(a).toNumber();d=10>d?d.toString():"ABCDEFGHIJKLMNOPQRSTUVWXYZ".charAt(d-10);c=c.divide(a);b=d+b}return b};BigInteger.prototype.toNumber=function(){if(0<this.abs().compare(BigInteger.MAX_NATIVE))throw"Value is to large to be represented by a Number.";for(var a=0,b=1,c=0;c<this.digits.length;c++)a+=this.digits[c]*b,b*=BigInteger.BASE;return(this.negative?-1:1)*a};BigInteger.prototype.abs=function(){return new BigInteger(this.digits,!1)};
-BigInteger.prototype.negate=function(){return new BigInteger(this.digits,!this.negative)};BigInteger.prototype.isZero=function(){return 0===this.digits.length};BigInteger.prototype.isEven=function(){return this.isZero()?!0:0===this.digits[0]%2};
-BigInteger.prototype.compare=function(a){if(null===a||void 0===a||a.constructor!==BigInteger)throw"Object being compared is not a valid BigInteger.";if(this.isZero()&&a.isZero())return 0;if(this.negative&&!a.negative)return-1;if(!this.negative&&a.negative)return 1;if(this.negative){if(this.digits.length>a.digits.length)return-1;if(this.digits.length<a.digits.length)return 1;for(var b=this.digits.length-1;0<=b;b--){if(this.digits[b]>a.digits[b])return-1;if(this.digits[b]<a.digits[b])return 1}}else{if(this.digits.length>
-a.digits.length)return 1;if(this.digits.length<a.digits.length)return-1;for(b=this.digits.length-1;0<=b;b--){if(this.digits[b]<a.digits[b])return-1;if(this.digits[b]>a.digits[b])return 1}}return 0};BigInteger.prototype.equals=function(a){return 0===this.compare(a)};BigInteger.prototype.isGreaterThan=function(a){return 0<this.compare(a)};BigInteger.prototype.isLessThan=function(a){return 0>this.compare(a)};
-BigInteger.prototype.add=function(a){if(a.isZero())return this;var b=function(a,b){for(var e=[],f=Math.max(a.digits.length,b.digits.length),h=0,g=0;g<f;g++){var k;k=g>=a.digits.length?b.digits[g]+h:g>=b.digits.length?a.digits[g]+h:a.digits[g]+b.digits[g]+h;h=Math.floor(k/BigInteger.BASE);e[g]=k%BigInteger.BASE}0!==h&&(e[f]=h);return new BigInteger(e,!1)};return this.negative&&a.negative?(a=b(this,a),a.negative=!0,a):this.negative||a.negative?this.negative&&!a.negative?a.subtract(this.abs()):this.subtract(a.abs()):
-b(this,a)};
-BigInteger.prototype.subtract=function(a){if(a.isZero())return this;if(this.negative^a.negative)return this.add(a.negate());var b=function(a,b){for(var e=new BigInteger(Array(b.digits.length),!1),f=0;f<b.digits.length;f++)e.digits[f]=BigInteger.BASE-1-b.digits[f];f=a.add(e);f=f.add(BigInteger.ONE);f.digits[e.digits.length]--;stripLeadingZeroDigits(f);return f};this.negative?0>this.compare(a)?(a=b(this.abs(),a.abs()),a.negative=!0):(a=b(a.abs(),this.abs()),a.negative=!1):0<=this.compare(a)?(a=b(this.abs(),
-a.abs()),a.negative=!1):(a=b(a.abs(),this.abs()),a.negative=!0);return a};BigInteger.prototype.multiply=function(a){for(var b=BigInteger.ZERO,c=0;c<a.digits.length;c++)b=b.add(multiplyOneDigit(this,a.digits[c],c));b.negative=this.negative^a.negative;return b};
-function multiplyOneDigit(a,b,c){for(var d=Array(c+a.digits.length+1),e=0;e<c;e++)d[e]=0;for(var f=0,e=0;e<a.digits.length;e++){var h=b*a.digits[e]+f,f=Math.floor(h/BigInteger.BASE),h=Math.floor(h%BigInteger.BASE);d[e+c]=h}0!==f?d[d.length-1]=f:d.length-=1;return new BigInteger(d)}
-function divideByNativeNumber(a,b){if(0===b)throw"Division by zero.";var c=Array(a.digits.length),d=0>b;b=Math.abs(b);for(var e=0,f=c.length-1;0<=f;f--)e=BigInteger.BASE*e+a.digits[f],c[f]=Math.floor(e/b),e%=b;e=new BigInteger(c,a.negative^d);stripLeadingZeroDigits(e);return e}function trialDigit(a,b,c){var d=firstTwoDigits(a);c&&2<a.digits.length&&(b/=BigInteger.BASE,d+=a.digits[a.digits.length-3]/BigInteger.BASE);return Math.floor(d/b)}
-function firstTwoDigits(a){var b=a.digits.length;if(0===b)return 0;var c=a.digits[b-1];1<b&&(c=c*BigInteger.BASE+a.digits[b-2]);return c}
-BigInteger.prototype.divide=function(a){var b=this.abs(),c=a.abs();if(0>b.compare(c))return BigInteger.ZERO;if(0>b.compare(BigInteger.MAX_NATIVE))return b=this.negative^a.negative?-1:1,a=Math.floor(Math.abs(this.toNumber()/a.toNumber())),new BigInteger(b*a);if(0>c.compare(BigInteger.MAX_NATIVE))return divideByNativeNumber(this,a.toNumber());var d=!1,e=b.digits.length-c.digits.length,f=firstTwoDigits(c);f>firstTwoDigits(b)&&(e--,d=!0);for(var h=Array(e+1);0<=e;){var d=trialDigit(b,f,d),g=multiplyOneDigit(c,
-d,e);0<g.compare(b)&&(d--,g=multiplyOneDigit(c,d,e));0===d?(e--,d=!0):(b=b.subtract(g),h[e]=d,e=b.digits.length-c.digits.length,0<=e&&f>firstTwoDigits(b)?(e--,d=!0):d=!1)}return new BigInteger(h,this.negative^a.negative)};
-BigInteger.prototype.modulo=function(a){if(a.isZero())throw"Modulus cannot be zero.";var b=this.abs(),c=a.abs();if(0>b.compare(c))return b;if(0>b.compare(BigInteger.MAX_NATIVE))return new BigInteger(Math.floor(Math.abs(this.toNumber()%a.toNumber())));if(0>c.compare(new BigInteger(BigInteger.BASE))){b=a.toNumber();c=0;for(a=this.digits.length-1;0<=a;a--)c=(c*BigInteger.BASE+this.digits[a])%b;return new BigInteger(c)}var d=!1;a=b.digits.length-c.digits.length;var e=firstTwoDigits(c);e>firstTwoDigits(b)&&
-(a--,d=!0);for(;0<=a;){var d=trialDigit(b,e,d),f=multiplyOneDigit(c,d,a);0<f.compare(b)&&(d--,f=multiplyOneDigit(c,d,a));0===d?(a--,d=!0):(b=b.subtract(f),a=b.digits.length-c.digits.length,0<=a&&e>firstTwoDigits(b)?(a--,d=!0):d=!1)}return b};
-BigInteger.prototype.pow=function(a){if("number"!==typeof a)throw"Exponent is not a number.";if(0>a)throw"Negative exponent.";var b=function(a,d){return 0===d?BigInteger.ONE:1===d?a:0===d%2?b(a.multiply(a),d/2):a.multiply(b(a.multiply(a),(d-1)/2))};return b(this,a)};
-BigInteger.prototype.modPow=function(a,b){if(a.negative)throw"Negative exponent.";for(var c=BigInteger.ONE,d=this;0<a.compare(BigInteger.ZERO);)a.isEven()?(d=d.multiply(d).modulo(b),a=a.divide(BigInteger.TWO)):(c=c.multiply(d).modulo(b),a=a.subtract(BigInteger.ONE));return c};
-BigInteger.prototype.isPrime=function(a){if(void 0!=a&&(null===a||"number"!=typeof a||1>a))throw"Number of witness loops must be a positive integer.";if(0>=this.compare(BigInteger.ONE))return!1;if(0>=this.compare(BigInteger.THREE))return!0;if(this.isEven()||0===this.modulo(BigInteger.THREE)||0===this.digits[0]%5)return!1;void 0===a&&(a=5);for(var b=this.subtract(BigInteger.ONE),c=b,d=0;c.isEven();)c=c.divide(BigInteger.TWO),d++;for(var e=0;e<a;e++){var f=BigInteger.random(this.subtract(BigInteger.THREE)).add(BigInteger.TWO).modPow(c,
-this);if(0!==f.compare(BigInteger.ONE)&&0!==f.compare(b)){for(var h=0;h<d-1;h++){f=f.multiply(f).modulo(this);if(0===f.compare(BigInteger.ONE))return!1;if(0===f.compare(b))break}if(0!==f.compare(b))return!1}}return!0};
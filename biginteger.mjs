@@ -0,0 +1,5395 @@
+/*
+ * Copyright (c) 2015 Adam Heins
+ *
+ * This file is part of the BigInteger.js project, which is distributed under the MIT license.
+ * For the full terms, see the included license file.
+ */
+
+// ES module build of biginteger.js, generated by bigintegerbuild.js. Edit
+// biginteger.js and run 'npm run build' instead of editing this file.
+
+
+/**
+ * Arbitrary-sized integer.
+ *
+ * @constructor
+ *
+ * @param {String, Number, or Array} number A representation of the magnitude of the BigInteger.
+ *     If the number is a string, it must be a decimal integer: an optional sign followed by one or
+ *     more digits, with no whitespace. Otherwise a BigIntegerParseError is thrown. If the number is
+ *     a Number, it must be a safe integer, or a BigIntegerRangeError is thrown. If it is an
+ *     array, this is taken as the digits array, in base BigInteger.BASE with the least significant
+ *     digit first. If number is null or undefined, a BigInteger with a value of zero is created.
+ *     Note that leading zeroes are not permitted in the array of digits for a BigInteger.
+ *     Therefore, a BigInteger with a value of zero contains an empty digit array. The array is
+ *     frozen along with the BigInteger, so it must not be modified afterwards.
+ *
+ * @param {Boolean} negative Only required when the parameter 'number' is of type Array. True if the
+ *     BigInteger is negative, false otherwise.
+ *
+ * @author Adam Heins
+ */
+function BigInteger(number, negative) {
+
+    // Null or undefined parameters results in a BigInteger of 0.
+    if (number === null || number === undefined) {
+        this.digits = [];
+        this.numberString = "0";
+        this.negative = false;
+
+    // Number is a string.
+    } else if (typeof number === "string") {
+
+        var start = validateIntegerString(number, 10);
+
+        // Only a string without a plus sign or leading zeroes can be returned by toString.
+        var canonical = number.charAt(0) !== '+' && number.charAt(start) !== '0';
+        this.numberString = canonical ? number : null;
+
+        // Parse the digits of the number, unless it is simply zero.
+        var str = number.substr(start);
+        this.digits = representsZero(str) ? [] : parseDigits(str, 10);
+        this.negative = number.charAt(0) === '-' && this.digits.length > 0;
+
+    // Number is actually a number.
+    } else if (typeof number === "number") {
+
+        // Reject fractions, NaN, infinities and integers beyond 2 ^ 53 - 1, which may not be exact.
+        if (number !== Math.floor(number) || Math.abs(number) > 9007199254740991)
+            throw new BigIntegerRangeError('Number is not a safe integer.', number);
+
+        this.numberString = number.toString();
+
+        this.negative = number < 0;
+        number = Math.abs(number);
+
+        var digits = [];
+
+        while (number > 0) {
+            digits.push(number % BigInteger.BASE);
+            number = Math.floor(number / BigInteger.BASE);
+        }
+
+        this.digits = digits;
+
+    // Number is an array of digits.
+    } else if (Array.isArray(number)) {
+        this.digits = number;
+        this.negative = Boolean(negative) && number.length > 0;
+        this.numberString = null;
+
+    } else
+        throw new BigIntegerTypeError('A BigInteger cannot be created from a value of type '
+            + typeof number + '.', number);
+
+    // BigIntegers are immutable, so constants and digits shared between them can never change.
+    Object.freeze(this.digits);
+    Object.freeze(this);
+}
+
+
+// The number of bits in each digit of a BigInteger.
+BigInteger.BITS_PER_DIGIT = 26;
+
+// The base of the BigInteger. Each digit cannot be larger than this base. A base of 2 ^ 26 was
+// chosen because it is a power of two, so bitwise operations and conversions to bases such as 2 and
+// 16 work directly on the digits, and because (2 ^ 26) ^ 2 still fits exactly into a native Number
+// object (useful for multiplication).
+BigInteger.BASE = 67108864;
+
+// Useful, common constants.
+BigInteger.ZERO = new BigInteger();
+BigInteger.ONE = new BigInteger(1);
+BigInteger.TWO = new BigInteger(2);
+BigInteger.THREE = new BigInteger(3);
+BigInteger.TEN = new BigInteger(10)
+BigInteger.NEGATIVE_ONE = new BigInteger(-1);
+
+// A BigInteger representation of the base.
+BigInteger.BASE_AS_BIGINTEGER = new BigInteger(BigInteger.BASE);
+
+// Maximum native integer.
+BigInteger.MAX_NATIVE = new BigInteger('9007199254740992');
+
+// A mask of the bits in a single digit.
+var DIGIT_MASK = BigInteger.BASE - 1;
+
+// The number of digits above which numbers are multiplied with the Karatsuba algorithm, rather than
+// the schoolbook algorithm.
+var KARATSUBA_THRESHOLD = 80;
+
+// The number of digits above which numbers are multiplied with the Toom-Cook algorithm, rather than
+// the Karatsuba algorithm.
+var TOOM_COOK_THRESHOLD = 300;
+
+// The number of digits below which numbers are converted to strings by repeated division by a
+// native Number, rather than by divide and conquer.
+var STRING_CONVERSION_THRESHOLD = 60;
+
+// Cache of the powers of each base used for converting to strings by divide and conquer.
+var conversionPowers = {};
+
+// Buffer of secure random numbers, and the index of the next one to use. The buffer starts empty.
+var randomBuffer = new Uint32Array(256);
+var randomBufferIndex = randomBuffer.length;
+
+// The source of random numbers used when none is passed to a random function.
+var defaultRandomSource = secureRandomUint32;
+
+
+/**
+ * Base class of the errors thrown by BigInteger operations. Specific kinds of failure are
+ * represented by its subclasses, which carry the values that caused them.
+ *
+ * @constructor
+ *
+ * @param {String} message A description of the error.
+ */
+function BigIntegerError(message) {
+    this.message = message;
+
+    // Capture the stack trace where the error was created, leaving out the error's constructors.
+    if (Error.captureStackTrace)
+        Error.captureStackTrace(this, this.constructor);
+    else
+        this.stack = (new Error(message)).stack;
+}
+
+BigIntegerError.prototype = Object.create(Error.prototype);
+BigIntegerError.prototype.constructor = BigIntegerError;
+BigIntegerError.prototype.name = 'BigIntegerError';
+
+
+/**
+ * Error thrown when a BigInteger is divided by zero, or reduced modulo zero.
+ *
+ * @constructor
+ *
+ * @param {BigInteger} dividend The BigInteger being divided.
+ * @param {BigInteger} divisor The divisor, which is zero.
+ */
+function BigIntegerDivisionByZeroError(dividend, divisor) {
+    BigIntegerError.call(this, 'Division of ' + dividend.toString() + ' by zero.');
+    this.dividend = dividend;
+    this.divisor = divisor;
+}
+
+BigIntegerDivisionByZeroError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerDivisionByZeroError.prototype.constructor = BigIntegerDivisionByZeroError;
+BigIntegerDivisionByZeroError.prototype.name = 'BigIntegerDivisionByZeroError';
+
+
+/**
+ * Error thrown when an argument or result is outside the range that an operation accepts, such as
+ * a base outside of [2, 36] or a BigInteger too large to be converted to a Number.
+ *
+ * @constructor
+ *
+ * @param {String} message A description of the accepted range.
+ * @param {*} value The value that is out of range.
+ */
+function BigIntegerRangeError(message, value) {
+    BigIntegerError.call(this, message);
+    this.value = value;
+}
+
+BigIntegerRangeError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerRangeError.prototype.constructor = BigIntegerRangeError;
+BigIntegerRangeError.prototype.name = 'BigIntegerRangeError';
+
+
+/**
+ * Error thrown when an argument is missing or is not of the type that an operation expects.
+ *
+ * @constructor
+ *
+ * @param {String} message A description of the expected argument.
+ * @param {*} value The invalid argument.
+ */
+function BigIntegerTypeError(message, value) {
+    BigIntegerError.call(this, message);
+    this.value = value;
+}
+
+BigIntegerTypeError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerTypeError.prototype.constructor = BigIntegerTypeError;
+BigIntegerTypeError.prototype.name = 'BigIntegerTypeError';
+
+
+/**
+ * Error thrown when a string cannot be parsed as an integer.
+ *
+ * @constructor
+ *
+ * @param {String} input The string being parsed.
+ * @param {Number} position The index of the first invalid character in 'input', which is the length
+ *     of 'input' if it ended unexpectedly.
+ */
+function BigIntegerParseError(input, position) {
+    BigIntegerError.call(this, position < input.length
+        ? 'Unexpected character \'' + input.charAt(position) + '\' at position ' + position
+            + ' of "' + input + '".'
+        : 'Unexpected end of "' + input + '".');
+    this.input = input;
+    this.position = position;
+}
+
+BigIntegerParseError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerParseError.prototype.constructor = BigIntegerParseError;
+BigIntegerParseError.prototype.name = 'BigIntegerParseError';
+
+
+/**
+ * Error thrown when a BigInteger has no inverse modulo some modulus, which is the case when the two
+ * are not coprime.
+ *
+ * @constructor
+ *
+ * @param {BigInteger} value The BigInteger that has no inverse.
+ * @param {BigInteger} modulus The modulus.
+ */
+function BigIntegerNoInverseError(value, modulus) {
+    BigIntegerError.call(this, value.toString() + ' has no inverse modulo ' + modulus.toString()
+        + '.');
+    this.value = value;
+    this.modulus = modulus;
+}
+
+BigIntegerNoInverseError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerNoInverseError.prototype.constructor = BigIntegerNoInverseError;
+BigIntegerNoInverseError.prototype.name = 'BigIntegerNoInverseError';
+
+
+/**
+ * Error thrown when a BigInteger has no square root modulo a prime, which is the case when it is
+ * not a quadratic residue.
+ *
+ * @constructor
+ *
+ * @param {BigInteger} value The BigInteger that has no square root.
+ * @param {BigInteger} modulus The modulus.
+ */
+function BigIntegerNoSquareRootError(value, modulus) {
+    BigIntegerError.call(this, value.toString() + ' has no square root modulo '
+        + modulus.toString() + '.');
+    this.value = value;
+    this.modulus = modulus;
+}
+
+BigIntegerNoSquareRootError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerNoSquareRootError.prototype.constructor = BigIntegerNoSquareRootError;
+BigIntegerNoSquareRootError.prototype.name = 'BigIntegerNoSquareRootError';
+
+
+/**
+ * Error thrown when a system of congruences has no solution, which is the case when two of its
+ * residues differ modulo the gcd of their moduli.
+ *
+ * @constructor
+ *
+ * @param {Array} residues The residues of the congruences, as BigIntegers.
+ * @param {Array} moduli The moduli of the congruences, as BigIntegers.
+ */
+function BigIntegerNoSolutionError(residues, moduli) {
+    BigIntegerError.call(this, 'The congruences ' + residues.map(function(residue, i) {
+        return 'x = ' + residue.toString() + ' (mod ' + moduli[i].toString() + ')';
+    }).join(', ') + ' have no solution.');
+    this.residues = residues;
+    this.moduli = moduli;
+}
+
+BigIntegerNoSolutionError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerNoSolutionError.prototype.constructor = BigIntegerNoSolutionError;
+BigIntegerNoSolutionError.prototype.name = 'BigIntegerNoSolutionError';
+
+
+/**
+ * Error thrown when bytes or text cannot be decoded, such as a malformed DER encoding or PEM block.
+ *
+ * @constructor
+ *
+ * @param {String} message A description of the problem, including where it was found.
+ * @param {Number} position The index of the byte or character at which the problem was found.
+ */
+function BigIntegerEncodingError(message, position) {
+    BigIntegerError.call(this, message);
+    this.position = position;
+}
+
+BigIntegerEncodingError.prototype = Object.create(BigIntegerError.prototype);
+BigIntegerEncodingError.prototype.constructor = BigIntegerEncodingError;
+BigIntegerEncodingError.prototype.name = 'BigIntegerEncodingError';
+
+
+/**
+ * Helper function that removes the leading zeros from an array of digits, which must be done
+ * before a BigInteger is created from it.
+ *
+ * @param {Array} digits The digits to be stripped, which are modified in place.
+ *
+ * @return {Array} The stripped digits.
+ */
+function stripLeadingZeroDigits(digits) {
+    while (digits[digits.length - 1] === 0)
+        digits.length--;
+    return digits;
+}
+
+
+/**
+ * Helper function that determines if a string is empty or composed only of zeros.
+ *
+ * @param  {String} str The string to check.
+ *
+ * @return {Boolean} True if the string is empty or composed only of zeroes, false otherwise.
+ */
+function representsZero(str) {
+    for (var i = 0; i < str.length; i++) {
+        if (str.charAt(i) !== '0')
+            return false;
+    }
+    return true;
+}
+
+
+/**
+ * Helper function that checks that a string is an integer in some base, which is an optional sign
+ * followed by one or more characters that are digits in that base. Throws a BigIntegerParseError
+ * giving the position of the first invalid character otherwise.
+ *
+ * @param {String} str The string to check.
+ * @param {Number} base The base of the string, in the range [2, 36].
+ *
+ * @return {Number} The index of the first character after the sign.
+ */
+function validateIntegerString(str, base) {
+    var start = str.charAt(0) === '-' || str.charAt(0) === '+' ? 1 : 0;
+
+    // There must be at least one digit.
+    if (str.length === start)
+        throw new BigIntegerParseError(str, start);
+
+    // Parsing a single character rejects anything that is not a digit of the base.
+    for (var i = start; i < str.length; i++) {
+        if (isNaN(parseInt(str.charAt(i), base)))
+            throw new BigIntegerParseError(str, i);
+    }
+
+    return start;
+}
+
+
+/**
+ * Helper function that determines if a base is a power of two.
+ *
+ * @param {Number} base The base to check.
+ *
+ * @return {Boolean} True if 'base' is a power of two, false otherwise.
+ */
+function isPowerOfTwo(base) {
+    return (base & (base - 1)) === 0;
+}
+
+
+/**
+ * Helper function that calculates the largest power of a base that still fits into a single
+ * digit. Strings are converted in chunks of this many characters with native arithmetic.
+ *
+ * @param {Number} base The base, in the range [2, 36].
+ *
+ * @return {Object} An object with the properties 'value', the power of the base, and 'length', the
+ *     number of characters it represents.
+ */
+function digitChunk(base) {
+    var value = base;
+    var length = 1;
+    while (value * base <= BigInteger.BASE) {
+        value *= base;
+        length++;
+    }
+    return { value: value, length: length };
+}
+
+
+/**
+ * Helper function that parses an unsigned string of characters in some base into the digits of a
+ * BigInteger. Power-of-two bases are parsed directly into the bits of the digits. Other bases are
+ * parsed in chunks, each of which is multiplied into the digits with native arithmetic.
+ *
+ * @param {String} str The string of characters. Must not have a sign.
+ * @param {Number} base The base of the characters, in the range [2, 36].
+ *
+ * @return {Array} The digits of the parsed number, without leading zeroes.
+ */
+function parseDigits(str, base) {
+    var digits = [];
+
+    if (isPowerOfTwo(base)) {
+        var bitsPerCharacter = digitBitLength(base) - 1;
+        var digit = 0;
+        var bits = 0;
+
+        // Fill the digits with bits from the least significant character.
+        for (var i = str.length - 1; i >= 0; i--) {
+            var value = parseInt(str.charAt(i), base);
+            digit |= (value << bits) & DIGIT_MASK;
+            bits += bitsPerCharacter;
+
+            if (bits >= BigInteger.BITS_PER_DIGIT) {
+                digits.push(digit);
+                bits -= BigInteger.BITS_PER_DIGIT;
+                digit = value >>> (bitsPerCharacter - bits);
+            }
+        }
+        digits.push(digit);
+
+    } else {
+        var chunk = digitChunk(base);
+
+        // The first chunk takes up the excess characters, so the rest are all full.
+        var position = str.length % chunk.length;
+        if (position === 0)
+            position = chunk.length;
+
+        var multiplier = Math.pow(base, position);
+        var carry = parseInt(str.substr(0, position), base);
+
+        while (true) {
+
+            // Multiply the digits by the size of the chunk and add the chunk's value.
+            for (var i = 0; i < digits.length; i++) {
+                var value = digits[i] * multiplier + carry;
+                carry = Math.floor(value / BigInteger.BASE);
+                digits[i] = value % BigInteger.BASE;
+            }
+            if (carry > 0)
+                digits.push(carry);
+
+            if (position >= str.length)
+                break;
+
+            multiplier = chunk.value;
+            carry = parseInt(str.substr(position, chunk.length), base);
+            position += chunk.length;
+        }
+    }
+
+    // Strip leading zeroes.
+    while (digits[digits.length - 1] === 0)
+        digits.length--;
+
+    return digits;
+}
+
+
+/**
+ * Helper function that generates a random 32-bit integer from a cryptographically secure source:
+ * crypto.getRandomValues where it is available, as in browsers and recent versions of Node, or the
+ * crypto module of older versions of Node. Random values are generated in batches and buffered,
+ * since each call to the source is relatively expensive.
+ *
+ * @return {Number} A uniformly distributed random integer in the range [0, 2 ^ 32).
+ */
+function secureRandomUint32() {
+    if (randomBufferIndex >= randomBuffer.length) {
+        if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function')
+            crypto.getRandomValues(randomBuffer);
+        else if (typeof require === 'function') {
+            var bytes = require('crypto').randomBytes(4 * randomBuffer.length);
+            for (var i = 0; i < randomBuffer.length; i++)
+                randomBuffer[i] = bytes.readUInt32LE(4 * i);
+        } else
+            throw new BigIntegerError('No secure source of random numbers is available.');
+
+        randomBufferIndex = 0;
+    }
+
+    return randomBuffer[randomBufferIndex++];
+}
+
+
+/**
+ * Helper function that multiplies two 32-bit integers modulo 2 ^ 32, like Math.imul, which is not
+ * available in every engine. The product of the high and low halves is calculated separately, since
+ * the full product may not fit exactly into a native Number.
+ *
+ * @param {Number} a The first 32-bit integer.
+ * @param {Number} b The second 32-bit integer.
+ *
+ * @return {Number} The low 32 bits of the product, as an unsigned integer.
+ */
+function multiplyUint32(a, b) {
+    var high = ((a >>> 16) * (b & 0xFFFF) + (a & 0xFFFF) * (b >>> 16)) & 0xFFFF;
+    return ((high << 16) + (a & 0xFFFF) * (b & 0xFFFF)) >>> 0;
+}
+
+
+/**
+ * Helper function that rotates the bits of a 32-bit integer left.
+ *
+ * @param {Number} value The 32-bit integer.
+ * @param {Number} distance The number of bits to rotate by, in the range [1, 31].
+ *
+ * @return {Number} The rotated integer, as an unsigned integer.
+ */
+function rotateLeft32(value, distance) {
+    return ((value << distance) | (value >>> (32 - distance))) >>> 0;
+}
+
+
+/**
+ * Creates a deterministic source of random numbers from a seed, which can be passed to the random
+ * functions and isPrime to make them reproducible. The same seed always produces the same sequence
+ * of numbers. The generator is xoshiro128** by David Blackman and Sebastiano Vigna, with its state
+ * initialized from the seed by the SplitMix32 generator. It is fast and statistically strong, but
+ * it is not cryptographically secure.
+ *
+ * @param {Number} seed The seed. Must be a non-negative safe integer.
+ *
+ * @return {Function} A function that returns a uniformly distributed random integer in the range
+ *     [0, 2 ^ 32).
+ */
+BigInteger.seededRandomSource = function(seed) {
+    if (typeof(seed) !== 'number')
+        throw new BigIntegerTypeError('Seed is not a number.', seed);
+    if (seed < 0 || seed !== Math.floor(seed) || seed > 9007199254740991)
+        throw new BigIntegerRangeError('Seed must be a non-negative safe integer.', seed);
+
+    // Weyl sequences of the low and high halves of the seed are mixed by SplitMix32 to fill the
+    // state, so that similar seeds give unrelated states.
+    var weyl = [seed >>> 0, Math.floor(seed / 4294967296)];
+    var state = new Array(4);
+    for (var i = 0; i < 4; i++) {
+        var z = weyl[i >> 1] = (weyl[i >> 1] + 0x9E3779B9) >>> 0;
+        z = multiplyUint32(z ^ (z >>> 16), 0x85EBCA6B);
+        z = multiplyUint32(z ^ (z >>> 13), 0xC2B2AE35);
+        state[i] = (z ^ (z >>> 16)) >>> 0;
+    }
+
+    // The state must not be all zeroes.
+    if ((state[0] | state[1] | state[2] | state[3]) === 0)
+        state[0] = 1;
+
+    return function() {
+
+        // The multipliers are small, so the products fit exactly into a native Number.
+        var result = (rotateLeft32((state[1] * 5) >>> 0, 7) * 9) >>> 0;
+        var t = (state[1] << 9) >>> 0;
+
+        state[2] = (state[2] ^ state[0]) >>> 0;
+        state[3] = (state[3] ^ state[1]) >>> 0;
+        state[1] = (state[1] ^ state[2]) >>> 0;
+        state[0] = (state[0] ^ state[3]) >>> 0;
+        state[2] = (state[2] ^ t) >>> 0;
+        state[3] = rotateLeft32(state[3], 11);
+
+        return result;
+    }
+}
+
+
+/**
+ * Sets the source of random numbers used by the random functions and isPrime when none is passed
+ * to them. For example, a source created by seededRandomSource makes every random result
+ * reproducible.
+ *
+ * @param {Function} rng Optional. A function that returns a uniformly distributed random integer
+ *     in the range [0, 2 ^ 32). If it is omitted, the cryptographically secure default is restored.
+ */
+BigInteger.setRandomSource = function(rng) {
+    if (rng !== undefined && rng !== null && typeof rng !== 'function')
+        throw new BigIntegerTypeError('Random source is not a function.', rng);
+
+    defaultRandomSource = rng || secureRandomUint32;
+}
+
+
+/**
+ * Helper function that checks the source of random numbers passed to a random function, and
+ * supplies the default source if none was passed.
+ *
+ * @param {Function} rng Optional. A function that returns a uniformly distributed random integer
+ *     in the range [0, 2 ^ 32).
+ *
+ * @return {Function} The source of random numbers to use.
+ */
+function randomSource(rng) {
+    if (rng === undefined)
+        return defaultRandomSource;
+
+    if (typeof rng !== 'function')
+        throw new BigIntegerTypeError('Random source is not a function.', rng);
+
+    return rng;
+}
+
+
+/**
+ * Generates a uniformly distributed random BigInteger with a number of bits. That is, in the range
+ * [0, 2 ^ bits).
+ *
+ * @param {Number} bits The number of random bits. Must be a non-negative integer.
+ * @param {Function} rng Optional. A function that returns a uniformly distributed random integer
+ *     in the range [0, 2 ^ 32). Defaults to the source set by setRandomSource, which is
+ *     cryptographically secure unless it has been changed.
+ *
+ * @return {BigInteger} A random BigInteger in the range [0, 2 ^ bits).
+ */
+BigInteger.randomBits = function(bits, rng) {
+    if (typeof(bits) !== 'number')
+        throw new BigIntegerTypeError('Number of bits is not a number.', bits);
+    if (bits < 0 || bits !== Math.floor(bits) || bits === Infinity)
+        throw new BigIntegerRangeError('Number of bits must be a non-negative integer.', bits);
+
+    rng = randomSource(rng);
+
+    // Each digit takes the low bits of a random integer, and the last digit only as many as are
+    // left over.
+    var digits = new Array(Math.ceil(bits / BigInteger.BITS_PER_DIGIT));
+    for (var i = 0; i < digits.length; i++)
+        digits[i] = rng() & DIGIT_MASK;
+
+    var excessBits = digits.length * BigInteger.BITS_PER_DIGIT - bits;
+    if (digits.length > 0)
+        digits[digits.length - 1] >>>= excessBits;
+
+    // Leading zeroes may have been created as random numbers. Strip them.
+    return new BigInteger(stripLeadingZeroDigits(digits), false);
+}
+
+
+/**
+ * Generates a uniformly distributed random BigInteger in the range [0, limit). Random numbers with
+ * as many bits as the limit are generated until one is less than it, which takes fewer than two
+ * attempts on average.
+ *
+ * @param {BigInteger} limit The upper bound of the generated random number (exclusive). Must be
+ *     positive.
+ * @param {Function} rng Optional. A function that returns a uniformly distributed random integer
+ *     in the range [0, 2 ^ 32). Defaults to the source set by setRandomSource, which is
+ *     cryptographically secure unless it has been changed.
+ *
+ * @return {BigInteger} A random BigInteger in the range [0, limit).
+ */
+BigInteger.random = function(limit, rng) {
+    if (!(limit instanceof BigInteger))
+        throw new BigIntegerTypeError('Limit is not a BigInteger.', limit);
+    if (limit.negative || limit.isZero())
+        throw new BigIntegerRangeError('Limit must be positive.', limit);
+
+    rng = randomSource(rng);
+
+    var bits = limit.bitLength();
+    while (true) {
+        var candidate = BigInteger.randomBits(bits, rng);
+        if (candidate.compare(limit) < 0)
+            return candidate;
+    }
+}
+
+
+/**
+ * Generates a uniformly distributed random BigInteger in the range [min, max].
+ *
+ * @param {BigInteger} min The lower bound of the generated random number (inclusive).
+ * @param {BigInteger} max The upper bound of the generated random number (inclusive). Must not be
+ *     less than 'min'.
+ * @param {Function} rng Optional. A function that returns a uniformly distributed random integer
+ *     in the range [0, 2 ^ 32). Defaults to the source set by setRandomSource, which is
+ *     cryptographically secure unless it has been changed.
+ *
+ * @return {BigInteger} A random BigInteger in the range [min, max].
+ */
+BigInteger.randomInRange = function(min, max, rng) {
+    if (min.compare(max) > 0)
+        throw new BigIntegerRangeError('Minimum is greater than the maximum.', min);
+
+    return min.add(BigInteger.random(max.subtract(min).add(BigInteger.ONE), rng));
+}
+
+
+/**
+ * Returns the largest of a number of BigIntegers.
+ *
+ * @param {BigInteger} A variable number of BigIntegers. At least one must be passed.
+ *
+ * @return {BigInteger} The largest BigInteger that was passed to the function.
+ */
+BigInteger.max = function() {
+    if (arguments.length === 0)
+        throw new BigIntegerTypeError('No arguments passed.', undefined);
+
+    var largest = arguments[0];
+
+    for (var i = 1; i < arguments.length; i++) {
+        if (arguments[i].compare(largest) > 0)
+            largest = arguments[i];
+    }
+    return largest;
+}
+
+
+/**
+ * Returns the smallest of a number of BigIntegers.
+ *
+ * @param {BigInteger} A variable number of BigIntegers. At least one must be passed.
+ *
+ * @return {BigInteger} The smallest BigInteger that was passed to the function.
+ */
+BigInteger.min = function() {
+    if (arguments.length === 0)
+        throw new BigIntegerTypeError('No arguments passed.', undefined);
+
+    var smallest = arguments[0];
+
+    for (var i = 1; i < arguments.length; i++) {
+        if (arguments[i].compare(smallest) < 0)
+            smallest = arguments[i];
+    }
+    return smallest;
+}
+
+
+/**
+ * Creates a new BigInteger from a string in the specified base from 2 to 36.
+ *
+ * @param  {String} str The string representation of the number: an optional sign followed by one
+ *     or more digits in the base, with no whitespace. Otherwise a BigIntegerParseError is thrown.
+ * @param  {Number} base The base of the number represented by this string. Must be in the range
+ *     [2, 36].
+ *
+ * @return {BigInteger} A BigInteger with equivalent value of str.
+ */
+BigInteger.valueOf = function(str, base) {
+
+    // Check for a base that is missing or out of range.
+    if (typeof(base) !== 'number' || base < 2 || base > 36 || base !== Math.floor(base))
+        throw new BigIntegerRangeError('Base not in acceptable range of [2, 36].', base);
+
+    var start = validateIntegerString(str, base);
+    var negative = str.charAt(0) === '-';
+    var digits = parseDigits(str.substr(start), base);
+
+    return new BigInteger(digits, negative && digits.length > 0);
+}
+
+
+/**
+ * Creates a new BigInteger with the value of a native BigInt.
+ *
+ * @param {BigInt} value The native BigInt.
+ *
+ * @return {BigInteger} A BigInteger with the same value as 'value'.
+ */
+BigInteger.fromBigInt = function(value) {
+    if (typeof value !== 'bigint')
+        throw new BigIntegerTypeError('Value is not a BigInt.', value);
+    return fromNativeBigInt(value);
+}
+
+
+/**
+ * Helper function that reads the byte order from the options of toBytes and fromBytes.
+ *
+ * @param {Object} options The options of toBytes or fromBytes.
+ *
+ * @return {Boolean} True if the bytes are in little-endian order, or false if they are in
+ *     big-endian order, which is the default.
+ */
+function isLittleEndian(options) {
+    var endian = options.endian === undefined ? 'big' : options.endian;
+    if (endian !== 'big' && endian !== 'little')
+        throw new BigIntegerRangeError('Byte order must be either \'big\' or \'little\'.', endian);
+    return endian === 'little';
+}
+
+
+/**
+ * Helper function that negates an array of bytes in two's complement, in place.
+ *
+ * @param {Array} bytes The bytes, least significant first.
+ */
+function negateBytes(bytes) {
+    var carry = 1;
+    for (var i = 0; i < bytes.length; i++) {
+        var value = (~bytes[i] & 0xFF) + carry;
+        bytes[i] = value & 0xFF;
+        carry = value >>> 8;
+    }
+}
+
+
+/**
+ * Helper function that copies bytes from any of the kinds of arrays and buffers that fromBytes
+ * accepts into an Array.
+ *
+ * @param {Uint8Array} bytes The bytes, which may also be a Node Buffer, another typed array, a
+ *     DataView, an ArrayBuffer, or an Array of integers in the range [0, 255].
+ *
+ * @return {Array} The bytes, in the same order.
+ */
+function byteValues(bytes) {
+    if (typeof ArrayBuffer !== 'undefined' && bytes instanceof ArrayBuffer)
+        bytes = new Uint8Array(bytes);
+    else if (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(bytes))
+        bytes = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    else if (!Array.isArray(bytes))
+        throw new BigIntegerTypeError('Bytes are not an array, typed array or buffer.', bytes);
+
+    var values = new Array(bytes.length);
+    for (var i = 0; i < bytes.length; i++) {
+        var value = bytes[i];
+        if (value !== (value & 0xFF))
+            throw new BigIntegerRangeError('Byte is not an integer in the range [0, 255].', value);
+        values[i] = value;
+    }
+    return values;
+}
+
+
+/**
+ * Creates a new BigInteger from an array of bytes, such as the result of toBytes.
+ *
+ * @param {Uint8Array} bytes The bytes. May also be a Node Buffer, another typed array, a DataView,
+ *     an ArrayBuffer, or an Array of integers in the range [0, 255]. The bytes of a typed array or
+ *     DataView are read from its buffer, regardless of the type of its elements.
+ * @param {Object} options Optional. An object with the properties:
+ *     'endian': The byte order, either 'big' or 'little'. Defaults to 'big'.
+ *     'signed': Whether the bytes are in two's complement, with the most significant bit as the
+ *         sign bit. Defaults to false.
+ *
+ * @return {BigInteger} The BigInteger represented by the bytes, which is zero if there are none.
+ */
+BigInteger.fromBytes = function(bytes, options) {
+    options = options || {};
+    var littleEndian = isLittleEndian(options);
+
+    // Copy the bytes, least significant first, so that they can be negated.
+    var values = byteValues(bytes);
+    if (!littleEndian)
+        values.reverse();
+    var length = values.length;
+
+    var negative = Boolean(options.signed) && length > 0 && values[length - 1] >= 0x80;
+    if (negative)
+        negateBytes(values);
+
+    var digits = new Array(Math.ceil(length * 8 / BigInteger.BITS_PER_DIGIT));
+    for (var i = 0; i < digits.length; i++)
+        digits[i] = 0;
+
+    // A byte may span two digits.
+    for (var i = 0; i < length; i++) {
+        var index = Math.floor(i * 8 / BigInteger.BITS_PER_DIGIT);
+        var offset = i * 8 % BigInteger.BITS_PER_DIGIT;
+        digits[index] |= (values[i] << offset) & DIGIT_MASK;
+        if (offset + 8 > BigInteger.BITS_PER_DIGIT)
+            digits[index + 1] |= values[i] >>> (BigInteger.BITS_PER_DIGIT - offset);
+    }
+
+    return new BigInteger(stripLeadingZeroDigits(digits), negative);
+}
+
+
+/**
+ * Helper function that converts the digits of a BigInteger to a string of characters in a
+ * power-of-two base by reading the bits of the digits directly.
+ *
+ * @param {Array} digits The digits to be converted. Must not be empty.
+ * @param {Number} base The base of the string, which must be a power of two.
+ *
+ * @return {String} The string of characters, without a sign or leading zeroes.
+ */
+function powerOfTwoDigitsToString(digits, base) {
+    var bitsPerCharacter = digitBitLength(base) - 1;
+    var totalBits = (digits.length - 1) * BigInteger.BITS_PER_DIGIT
+        + digitBitLength(digits[digits.length - 1]);
+
+    var characters = [];
+    for (var bit = 0; bit < totalBits; bit += bitsPerCharacter) {
+        var index = Math.floor(bit / BigInteger.BITS_PER_DIGIT);
+        var offset = bit % BigInteger.BITS_PER_DIGIT;
+
+        // A character may span two digits.
+        var value = digits[index] >>> offset;
+        if (offset + bitsPerCharacter > BigInteger.BITS_PER_DIGIT && index + 1 < digits.length)
+            value |= digits[index + 1] << (BigInteger.BITS_PER_DIGIT - offset);
+
+        characters.push((value & (base - 1)).toString(base));
+    }
+
+    return characters.reverse().join('').toUpperCase();
+}
+
+
+/**
+ * Helper function that converts the digits of a BigInteger to a string of characters by repeatedly
+ * dividing by the largest power of the base that fits in a digit, using native arithmetic.
+ *
+ * @param {Array} digits The digits to be converted.
+ * @param {Number} base The base of the string, in the range [2, 36].
+ *
+ * @return {String} The string of characters, without a sign or leading zeroes. Empty if 'digits' is
+ *     empty.
+ */
+function digitsToStringByDivision(digits, base) {
+    var chunk = digitChunk(base);
+    var padding = (new Array(chunk.length + 1)).join('0');
+
+    digits = digits.slice();
+    var length = digits.length;
+    var str = '';
+
+    while (length > 0) {
+
+        // Divide the digits by the chunk, keeping the remainder.
+        var carry = 0;
+        for (var i = length - 1; i >= 0; i--) {
+            var value = carry * BigInteger.BASE + digits[i];
+            digits[i] = Math.floor(value / chunk.value);
+            carry = value % chunk.value;
+        }
+
+        // Ignore the leading digits that have been reduced to zero.
+        while (length > 0 && digits[length - 1] === 0)
+            length--;
+
+        // Every chunk but the most significant one is padded with zeroes.
+        var chunkString = carry.toString(base);
+        if (length > 0)
+            chunkString = (padding + chunkString).substr(-chunk.length);
+
+        str = chunkString + str;
+    }
+
+    return str.toUpperCase();
+}
+
+
+/**
+ * Helper function that gets the powers of a base used to convert BigIntegers to strings in that
+ * base by divide and conquer. The powers are expensive to calculate, so they are cached and only
+ * extended when a longer BigInteger is converted.
+ *
+ * @param {Number} base The base, in the range [2, 36].
+ * @param {Number} length The number of digits of the BigInteger being converted.
+ *
+ * @return {Array} Powers of the base. Each entry is an object with the BigInteger property 'value'
+ *     and the property 'length', the number of characters that the power represents. The first
+ *     power is the largest one that fits in a digit, each other power is the square of the previous
+ *     one, and the last power is at least half the length of the BigInteger.
+ */
+function stringConversionPowers(base, length) {
+    var powers = conversionPowers[base];
+
+    if (powers === undefined) {
+        var chunk = digitChunk(base);
+        powers = conversionPowers[base] = [{
+            value: new BigInteger(chunk.value),
+            length: chunk.length
+        }];
+    }
+
+    while (2 * powers[powers.length - 1].value.digits.length <= length) {
+        var previous = powers[powers.length - 1];
+        powers.push({
+            value: previous.value.square(),
+            length: 2 * previous.length
+        });
+    }
+
+    return powers;
+}
+
+
+/**
+ * Helper function that converts a non-negative BigInteger to a string of characters using divide
+ * and conquer. The number is split into a high and low half by dividing it by a power of the base,
+ * and each half is converted separately. Small numbers are converted by repeated native division.
+ *
+ * @param {BigInteger} number The BigInteger to be converted. Must not be negative.
+ * @param {Number} base The base of the string, in the range [2, 36].
+ * @param {Array} powers Powers of the base. Each entry is an object with the BigInteger property
+ *     'value' and the property 'length', the number of characters that the power represents. Each
+ *     power is the square of the previous one.
+ * @param {Number} level The index of the largest power in 'powers' by which to split.
+ * @param {Number} width The exact number of characters of the result, which is padded with
+ *     leading zeroes, or zero to produce no leading zeroes at all.
+ *
+ * @return {String} The string of characters, without a sign.
+ */
+function divideAndConquerToString(number, base, powers, level, width) {
+    if (level < 0 || number.digits.length < STRING_CONVERSION_THRESHOLD) {
+        var str = digitsToStringByDivision(number.digits, base);
+        while (str.length < width)
+            str = '0' + str;
+        return str;
+    }
+
+    var power = powers[level];
+
+    // If the number is smaller than the power, there is no high half to split off.
+    if (number.compare(power.value) < 0)
+        return divideAndConquerToString(number, base, powers, level - 1, width);
+
+    var parts = number.divideAndRemainder(power.value);
+
+    return divideAndConquerToString(parts.quotient, base, powers, level - 1,
+            width === 0 ? 0 : width - power.length)
+        + divideAndConquerToString(parts.remainder, base, powers, level - 1, power.length);
+}
+
+
+/**
+ * Converts the value of this BigInteger to a string.
+ *
+ * @param {Number} base Optional. The base of the string, in the range [2, 36]. Defaults to 10.
+ *
+ * @return {String} A String representation of this BigInteger.
+ */
+BigInteger.prototype.toString = function(base) {
+
+    // Check for a base that is out of range or not an integer.
+    if (base !== undefined && (typeof(base) !== 'number' || base < 2 || base > 36
+            || base !== Math.floor(base)))
+        throw new BigIntegerRangeError('Base not in acceptable range of [2, 36].', base);
+
+    // Check for a value of zero.
+    if (this.isZero())
+        return '0';
+
+    var decimal = base === undefined || base === 10;
+
+    // If the BigInteger was constructed from a string, simply return that.
+    if (decimal && this.numberString !== null)
+        return this.numberString;
+
+    if (decimal)
+        base = 10;
+
+    var str;
+
+    // Power-of-two bases can be read straight from the bits of the digits.
+    if (isPowerOfTwo(base))
+        str = powerOfTwoDigitsToString(this.digits, base);
+
+    // Other bases are converted by dividing by powers of the base, starting with the first power
+    // that is about half the length of this BigInteger.
+    else {
+        var powers = stringConversionPowers(base, this.digits.length);
+
+        var level = 0;
+        while (2 * powers[level].value.digits.length <= this.digits.length)
+            level++;
+
+        str = divideAndConquerToString(this.abs(), base, powers, level, 0);
+    }
+
+    return (this.negative ? '-' : '') + str;
+}
+
+
+/**
+ * Converts the BigInteger to it's Number representation. Throws a BigIntegerRangeError if the
+ * BigInteger is too large to fit into a native Number object.
+ *
+ * @return {Number} The Number representation of this BigInteger.
+ */
+BigInteger.prototype.toNumber = function() {
+    if (this.abs().compare(BigInteger.MAX_NATIVE) > 0)
+        throw new BigIntegerRangeError('Value is too large to be represented by a Number.', this);
+
+    var value  = 0;
+    var multiplier = 1;
+
+    for (var i = 0; i < this.digits.length; i++) {
+        value += this.digits[i] * multiplier;
+        multiplier *= BigInteger.BASE;
+    }
+
+    return (this.negative ? -1 : 1) * value;
+}
+
+
+/**
+ * Converts the BigInteger to a native BigInt. Throws a BigIntegerError if the environment does not
+ * support BigInt.
+ *
+ * @return {BigInt} The BigInt representation of this BigInteger.
+ */
+BigInteger.prototype.toBigInt = function() {
+    if (typeof BigInt !== 'function')
+        throw new BigIntegerError('Native BigInt is not supported.');
+    return toNativeBigInt(this);
+}
+
+
+/**
+ * Converts the BigInteger to an array of bytes. By default, the bytes are the magnitude in
+ * big-endian order, in as few bytes as possible, which is a single zero byte for zero.
+ *
+ * @param {Object} options Optional. An object with the properties:
+ *     'endian': The byte order, either 'big' or 'little'. Defaults to 'big'.
+ *     'signed': Whether to use two's complement, with the most significant bit as the sign bit.
+ *         Negative BigIntegers can only be converted if this is true. Defaults to false.
+ *     'length': The exact number of bytes, which are padded with zeroes, or with ones for negative
+ *         numbers in two's complement. A BigIntegerRangeError is thrown if the BigInteger does not
+ *         fit. Defaults to the smallest number of bytes that hold the BigInteger.
+ *
+ * @return {Uint8Array} The bytes, which may be wrapped with Buffer.from or a DataView.
+ */
+BigInteger.prototype.toBytes = function(options) {
+    options = options || {};
+    var littleEndian = isLittleEndian(options);
+    var signed = Boolean(options.signed);
+
+    if (this.negative && !signed)
+        throw new BigIntegerRangeError('A negative number cannot be converted to unsigned bytes.',
+            this);
+
+    // A signed number needs a sign bit. The bits of a negative number -n in two's complement are
+    // those of n - 1 inverted, with a sign bit of one.
+    var bits = this.negative ? this.negate().subtract(BigInteger.ONE).bitLength()
+        : this.bitLength();
+    if (signed)
+        bits++;
+    var minimumLength = Math.max(Math.ceil(bits / 8), 1);
+
+    var length = options.length;
+    if (length === undefined)
+        length = minimumLength;
+    else if (!isNonNegativeInteger(length))
+        throw new BigIntegerRangeError('Length is not a non-negative integer.', length);
+    else if (length < minimumLength && !(length === 0 && this.isZero()))
+        throw new BigIntegerRangeError('Number does not fit in ' + length + ' bytes.', this);
+
+    // Collect the bytes of the magnitude, least significant first. A byte may span two digits.
+    var digits = this.digits;
+    var values = new Array(length);
+    for (var i = 0; i < length; i++) {
+        var index = Math.floor(i * 8 / BigInteger.BITS_PER_DIGIT);
+        var offset = i * 8 % BigInteger.BITS_PER_DIGIT;
+        var value = index < digits.length ? digits[index] >>> offset : 0;
+        if (offset + 8 > BigInteger.BITS_PER_DIGIT && index + 1 < digits.length)
+            value |= digits[index + 1] << (BigInteger.BITS_PER_DIGIT - offset);
+        values[i] = value & 0xFF;
+    }
+
+    if (this.negative)
+        negateBytes(values);
+
+    var bytes = new Uint8Array(length);
+    for (var i = 0; i < length; i++)
+        bytes[littleEndian ? i : length - 1 - i] = values[i];
+    return bytes;
+}
+
+
+// The ASN.1 tag of an INTEGER.
+var DER_INTEGER_TAG = 0x02;
+
+// The characters of base 64, as used by PEM.
+var BASE64_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// The number of base 64 characters on each line of a PEM block.
+var PEM_LINE_LENGTH = 64;
+
+
+/**
+ * Converts the BigInteger to the DER encoding of an ASN.1 INTEGER: a tag of 0x02, the length of
+ * the contents, and the contents, which are the BigInteger in the fewest bytes of big-endian two's
+ * complement. A positive number whose most significant bit is set therefore starts with 0x00.
+ *
+ * @return {Uint8Array} The bytes of the encoding.
+ */
+BigInteger.prototype.toDER = function() {
+    var contents = this.toBytes({ signed: true });
+
+    // Lengths below 128 are a single byte. Longer lengths are given in as few big-endian bytes as
+    // possible, preceded by a byte with the high bit set and the number of those bytes.
+    var header = [];
+    for (var length = contents.length; length > 0; length = Math.floor(length / 256))
+        header.unshift(length % 256);
+    if (contents.length >= 0x80)
+        header.unshift(0x80 | header.length);
+    header.unshift(DER_INTEGER_TAG);
+
+    var bytes = new Uint8Array(header.length + contents.length);
+    bytes.set(header);
+    bytes.set(contents, header.length);
+    return bytes;
+}
+
+
+/**
+ * Helper function that decodes the DER encoding of an ASN.1 INTEGER, accepting only the unique
+ * encoding.
+ *
+ * @param {Array} values The byte values, as returned by byteValues.
+ * @param {Number} position The index at which the INTEGER starts.
+ *
+ * @return {Object} An object with the BigInteger property 'value' and the property 'next', the
+ *     index after the INTEGER.
+ */
+function decodeDERInteger(values, position) {
+    if (position >= values.length)
+        throw new BigIntegerEncodingError('Unexpected end of DER at position ' + position + '.',
+            position);
+    if (values[position] !== DER_INTEGER_TAG)
+        throw new BigIntegerEncodingError('Expected an INTEGER tag at position ' + position + '.',
+            position);
+
+    var lengthPosition = ++position;
+    if (position >= values.length)
+        throw new BigIntegerEncodingError('Unexpected end of DER at position ' + position + '.',
+            position);
+
+    var length = values[position++];
+    if (length >= 0x80) {
+        var count = length & 0x7F;
+        if (count === 0 || count === 0x7F)
+            throw new BigIntegerEncodingError('Invalid length at position ' + lengthPosition + '.',
+                lengthPosition);
+        if (position + count > values.length)
+            throw new BigIntegerEncodingError('Unexpected end of DER at position '
+                + values.length + '.', values.length);
+
+        length = 0;
+        for (var i = 0; i < count; i++)
+            length = length * 256 + values[position++];
+
+        // The long form is only allowed for lengths that do not fit in the short form, and may not
+        // have leading zeroes.
+        if (length < 0x80 || values[lengthPosition + 1] === 0)
+            throw new BigIntegerEncodingError('Length at position ' + lengthPosition
+                + ' is not minimal.', lengthPosition);
+    }
+
+    if (length === 0)
+        throw new BigIntegerEncodingError('INTEGER at position ' + (lengthPosition - 1)
+            + ' has no contents.', lengthPosition);
+    if (position + length > values.length)
+        throw new BigIntegerEncodingError('Unexpected end of DER at position ' + values.length
+            + '.', values.length);
+
+    // A leading byte is redundant if it only repeats the sign bit of the next byte.
+    if (length > 1 && (values[position] === 0x00 && values[position + 1] < 0x80
+            || values[position] === 0xFF && values[position + 1] >= 0x80))
+        throw new BigIntegerEncodingError('INTEGER contents at position ' + position
+            + ' are not minimal.', position);
+
+    return {
+        value: BigInteger.fromBytes(values.slice(position, position + length), { signed: true }),
+        next: position + length
+    };
+}
+
+
+/**
+ * Reads the DER encoding of an ASN.1 INTEGER from within other bytes, such as a SEQUENCE of
+ * INTEGERs. Only the unique DER encoding is accepted; anything else, including a length or
+ * contents with redundant leading bytes, throws a BigIntegerEncodingError.
+ *
+ * @param {Uint8Array} bytes The bytes, of any of the kinds accepted by fromBytes.
+ * @param {Number} offset Optional. The index at which the INTEGER starts. Defaults to zero.
+ *
+ * @return {Object} An object with the BigInteger property 'value', the encoded BigInteger, and the
+ *     property 'next', the index after the INTEGER, at which the next value can be read.
+ */
+BigInteger.readDER = function(bytes, offset) {
+    var values = byteValues(bytes);
+
+    var position = offset === undefined ? 0 : offset;
+    if (!isNonNegativeInteger(position))
+        throw new BigIntegerRangeError('Offset is not a non-negative integer.', offset);
+    return decodeDERInteger(values, position);
+}
+
+
+/**
+ * Creates a new BigInteger from the DER encoding of an ASN.1 INTEGER, such as the result of toDER.
+ * Only the unique DER encoding is accepted, as by readDER.
+ *
+ * @param {Uint8Array} bytes The bytes, of any of the kinds accepted by fromBytes.
+ * @param {Number} offset Optional. The index at which the INTEGER starts. If given, it may be
+ *     followed by other bytes, which readDER can continue from. Otherwise, the INTEGER must be
+ *     the only thing in 'bytes'.
+ *
+ * @return {BigInteger} The BigInteger that is encoded.
+ */
+BigInteger.fromDER = function(bytes, offset) {
+    if (offset !== undefined)
+        return BigInteger.readDER(bytes, offset).value;
+
+    var values = byteValues(bytes);
+    var result = decodeDERInteger(values, 0);
+    if (result.next < values.length)
+        throw new BigIntegerEncodingError('Unexpected data after the INTEGER at position '
+            + result.next + '.', result.next);
+    return result.value;
+}
+
+
+/**
+ * Helper function that encodes bytes in base 64, with padding.
+ *
+ * @param {Uint8Array} bytes The bytes.
+ *
+ * @return {String} The base 64 characters.
+ */
+function encodeBase64(bytes) {
+    var characters = [];
+    for (var i = 0; i < bytes.length; i += 3) {
+        var group = bytes[i] << 16 | (bytes[i + 1] || 0) << 8 | (bytes[i + 2] || 0);
+        for (var j = 0; j < 4; j++) {
+            characters.push(i + j <= bytes.length
+                ? BASE64_CHARACTERS.charAt(group >>> (18 - 6 * j) & 0x3F) : '=');
+        }
+    }
+    return characters.join('');
+}
+
+
+/**
+ * Helper function that strictly decodes base 64 with padding, ignoring whitespace. Any other
+ * character, misplaced or missing padding, or unused bits that are not zero throw a
+ * BigIntegerEncodingError.
+ *
+ * @param {String} text The text containing the base 64 characters.
+ * @param {Number} start The index in 'text' of the first character to decode.
+ * @param {Number} end The index in 'text' after the last character to decode.
+ *
+ * @return {Array} The decoded bytes.
+ */
+function decodeBase64(text, start, end) {
+    var bytes = [];
+    var group = 0;
+    var count = 0;
+    var padding = 0;
+
+    for (var i = start; i < end; i++) {
+        var character = text.charAt(i);
+        if (/\s/.test(character))
+            continue;
+
+        var value = BASE64_CHARACTERS.indexOf(character);
+        if (character === '=' && count >= 2)
+            padding++;
+        else if (value < 0 || padding > 0)
+            throw new BigIntegerEncodingError('Invalid base 64 character \'' + character
+                + '\' at position ' + i + '.', i);
+
+        group = group << 6 | Math.max(value, 0);
+
+        if (++count === 4) {
+            if ((padding > 0 && group & 0xFF) || (padding > 1 && group & 0xFF00))
+                throw new BigIntegerEncodingError('Unused base 64 bits are not zero at position '
+                    + i + '.', i);
+
+            bytes.push(group >>> 16 & 0xFF);
+            if (padding < 2)
+                bytes.push(group >>> 8 & 0xFF);
+            if (padding < 1)
+                bytes.push(group & 0xFF);
+
+            // Padding ends the base 64, so nothing may follow a group that has it.
+            if (padding > 0)
+                padding = 3;
+            group = 0;
+            count = 0;
+        }
+    }
+
+    if (count !== 0)
+        throw new BigIntegerEncodingError('Unexpected end of base 64 at position ' + end + '.',
+            end);
+    return bytes;
+}
+
+
+/**
+ * Helper function that checks the label of a PEM block.
+ *
+ * @param {String} label The label, or undefined for the default of 'INTEGER'.
+ *
+ * @return {String} The label.
+ */
+function pemLabel(label) {
+    if (label === undefined)
+        return 'INTEGER';
+    if (typeof label !== 'string')
+        throw new BigIntegerTypeError('Label is not a string.', label);
+    if (!/^[\x21-\x2C\x2E-\x7E]([ \x21-\x2C\x2E-\x7E]*[\x21-\x2C\x2E-\x7E])?$/.test(label))
+        throw new BigIntegerRangeError('Label must be printable ASCII, without hyphens or '
+            + 'surrounding spaces.', label);
+    return label;
+}
+
+
+/**
+ * Converts the BigInteger to a PEM block containing the DER encoding of it as a bare INTEGER, with
+ * base 64 lines of 64 characters between the BEGIN and END lines.
+ *
+ * @param {String} label Optional. The label of the BEGIN and END lines. Defaults to 'INTEGER'.
+ *
+ * @return {String} The PEM block, ending with a line break.
+ */
+BigInteger.prototype.toPEM = function(label) {
+    label = pemLabel(label);
+
+    var base64 = encodeBase64(this.toDER());
+    var lines = ['-----BEGIN ' + label + '-----'];
+    for (var i = 0; i < base64.length; i += PEM_LINE_LENGTH)
+        lines.push(base64.substr(i, PEM_LINE_LENGTH));
+    lines.push('-----END ' + label + '-----');
+
+    return lines.join('\n') + '\n';
+}
+
+
+/**
+ * Creates a new BigInteger from a PEM block containing the DER encoding of a bare INTEGER, such as
+ * the result of toPEM. Whitespace around the block and within the base 64 is ignored. Anything
+ * else that is not part of the block throws a BigIntegerEncodingError, whose position is an index
+ * in 'text', or an index in the decoded bytes if they are not a valid DER INTEGER.
+ *
+ * @param {String} text The PEM block.
+ * @param {String} label Optional. The label that the BEGIN and END lines must have. Defaults to
+ *     'INTEGER'.
+ *
+ * @return {BigInteger} The BigInteger that is encoded.
+ */
+BigInteger.fromPEM = function(text, label) {
+    if (typeof text !== 'string')
+        throw new BigIntegerTypeError('PEM is not a string.', text);
+    label = pemLabel(label);
+
+    var begin = '-----BEGIN ' + label + '-----';
+    var end = '-----END ' + label + '-----';
+
+    var start = text.search(/\S/);
+    if (start < 0 || text.substr(start, begin.length) !== begin)
+        throw new BigIntegerEncodingError('Expected "' + begin + '" at position '
+            + Math.max(start, 0) + '.', Math.max(start, 0));
+    start += begin.length;
+
+    var finish = text.length - text.match(/\s*$/)[0].length - end.length;
+    if (finish < start || text.substr(finish, end.length) !== end)
+        throw new BigIntegerEncodingError('Expected "' + end + '" at the end of the PEM.',
+            Math.max(finish, start));
+
+    return BigInteger.fromDER(decodeBase64(text, start, finish));
+}
+
+
+/**
+ * Returns a new BigInteger that is the absolute value of this BigInteger.
+ *
+ * @return {BigInteger} The absolute value of this BigInteger.
+ */
+BigInteger.prototype.abs = function() {
+    return new BigInteger(this.digits, false);
+}
+
+
+/**
+ * Returns a new BigInteger with the opposite sign of this BigInteger.
+ *
+ * @return {BigInteger} A BigInteger with the opposite sign of this BigInteger.
+ */
+BigInteger.prototype.negate = function() {
+    return new BigInteger(this.digits, !this.negative);
+}
+
+
+/**
+ * Convenience method to check if this BigInteger is equal to zero.
+ *
+ * @return {Boolean} True if this BigInteger has a value of zero, false otherwise.
+ */
+BigInteger.prototype.isZero = function() {
+    return this.digits.length === 0;
+}
+
+
+/**
+ * Convenience method that indicates whether or not this BigInteger is even. Significantly
+ * cheaper than performing BigInteger.modulo(2).
+ *
+ * @return {Boolean} True if this BigInteger is even, false if it is odd.
+ */
+BigInteger.prototype.isEven = function() {
+    if (this.isZero())
+        return true;
+    return (this.digits[0] % 2 === 0);
+}
+
+
+/**
+ * Compares this BigInteger with another BigInteger.
+ *
+ * @param {BigInteger} other The BigInteger to which this one is compared.
+ *
+ * @return {Number} Positive if this BigInteger is greater than 'other', 0 if they are equal,
+ *     or negative if this BigInteger is less than 'other'.
+ */
+BigInteger.prototype.compare = function (other) {
+
+    // Check if other is null, undefined, or not a BigInteger.
+    if (other === null || other === undefined || other.constructor !== BigInteger)
+        throw new BigIntegerTypeError('Object being compared is not a valid BigInteger.', other);
+
+    // Check for the special case of zero.
+    if (this.isZero() && other.isZero())
+        return 0;
+
+    // Compare signs.
+    if (this.negative && !other.negative)
+        return -1;
+    if (!this.negative && other.negative)
+        return 1;
+
+    if (this.negative) {
+
+        // Compare lengths.
+        if (this.digits.length > other.digits.length)
+            return -1;
+        if (this.digits.length < other.digits.length)
+            return 1;
+
+        // Compare each digit until there is a difference.
+        for (var i = this.digits.length - 1; i >= 0; i--) {
+            if (this.digits[i] > other.digits[i])
+                return -1;
+            if (this.digits[i] < other.digits[i])
+                return 1;
+        }
+
+    } else {
+
+        // Compare lengths.
+        if (this.digits.length > other.digits.length)
+            return 1;
+        if (this.digits.length < other.digits.length)
+            return -1;
+
+        // Compare each digit until there is a difference.
+        for (var i = this.digits.length - 1; i >= 0; i--) {
+            if (this.digits[i] < other.digits[i])
+                return -1;
+            if (this.digits[i] > other.digits[i])
+                return 1;
+        }
+    }
+
+    return 0;
+}
+
+
+/**
+ * Convenience method for testing equality of this BigInteger and another one.
+ *
+ * @param {BigInteger} other The BigInteger to which to compare this one.
+ *
+ * @return {Boolean} True if this BigInteger and 'other' are equal, false otherwise.
+ */
+BigInteger.prototype.equals = function(other) {
+    return this.compare(other) === 0;
+}
+
+
+/**
+ * Convenience method for testing if this BigInteger is greater than another one.
+ *
+ * @param {BigInteger} other The BigInteger to which to compare this one.
+ *
+ * @return {Boolean} True if this BigInteger is greater than 'other', false otherwise.
+ */
+BigInteger.prototype.isGreaterThan = function(other) {
+    return this.compare(other) > 0;
+}
+
+
+/**
+ * Convenience method for testing if this BigInteger is less than another one.
+ *
+ * @param {BigInteger} other The BigInteger to which to compare this one.
+ *
+ * @return {Boolean} True if this BigInteger is less than 'other', false otherwise.
+ */
+BigInteger.prototype.isLessThan = function(other) {
+    return this.compare(other) < 0;
+}
+
+
+/**
+ * Calculates the sum of this BigInteger and another one. This function calls other private addition
+ * and subtraction functions depending on the signs of the numbers.
+ *
+ * @param {BigInteger} other The BigInteger being added to this one.
+ *
+ * @return {BigInteger} The sum of this BigInteger and 'other'.
+ */
+BigInteger.prototype.add = function(other) {
+
+    // Check for addition of zero.
+    if (other.isZero())
+        return this;
+
+    /**
+     * Calculates the sum of the absolute values of two BigIntegers using a standard long addition
+     * algorithm.
+     *
+     * @param {BigInteger} firstNumber The first BigInteger being added.
+     * @param {BigInteger} secondNumber The second BigInteger being added.
+     * @param {Boolean} negative True if the sum should be negated.
+     *
+     * @return {BigInteger} The sum of the two BigIntegers.
+     */
+    var longAddition = function(first, second, negative) {
+        var newDigits = [];
+
+        var numDigits = Math.max(first.digits.length, second.digits.length);
+        var carry = 0;
+
+        for (var i = 0; i < numDigits; i++) {
+            var result;
+            if (i >= first.digits.length)
+                result = second.digits[i] + carry;
+            else if (i >= second.digits.length)
+                result = first.digits[i] + carry;
+            else
+                result = first.digits[i] + second.digits[i] + carry;
+
+            carry = Math.floor(result / BigInteger.BASE);
+            newDigits[i] = result % BigInteger.BASE;
+        }
+
+        // Add an extra digit if the carry is not zero.
+        if (carry !== 0)
+            newDigits[numDigits] = carry;
+
+        return new BigInteger(newDigits, negative);
+    }
+
+    // Case where both numbers are negative.
+    if (this.negative && other.negative)
+        return longAddition(this, other, true);
+
+    // Case where both numbers are positive.
+    if (!this.negative && !other.negative)
+        return longAddition(this, other, false);
+
+    // Case of this being negative, other being positive.
+    if (this.negative && !other.negative)
+        return other.subtract(this.abs());
+
+    // Case of this being positive, other being negative.
+    return this.subtract(other.abs());
+}
+
+
+/**
+ * Calculates the difference between this BigInteger and another one. This function makes calls to
+ * private addition and subtraction functions depending on the signs and magnitudes of the numbers
+ * involved.
+ *
+ * @param  {BigInteger} other The BigInteger that is subtracted from this one.
+ *
+ * @return {BigInteger} The difference.
+ */
+BigInteger.prototype.subtract = function(other) {
+
+    // Check for subtraction of zero.
+    if (other.isZero())
+        return this;
+
+    // If the numbers do not have the same sign, add the complement of other to this BigInteger.
+    if (this.negative ^ other.negative)
+        return this.add(other.negate());
+
+    /**
+     * Calculates the difference between two BigIntegers using a standard long subtraction
+     * algorithm.
+     *
+     * @param {BigInteger} minuend The BigInteger being subtracted from. Must be at least as large
+     *     as the subtrahend.
+     * @param {BigInteger} subtrahend The BigInteger to subtract from the minuend.
+     * @param {Boolean} negative True if the difference should be negated.
+     *
+     * @return {BigInteger} The difference.
+     */
+    var longSubtraction = function(minuend, subtrahend, negative) {
+
+        var newDigits = new Array(minuend.digits.length);
+        var borrow = 0;
+
+        for (var i = 0; i < minuend.digits.length; i++) {
+            var result = minuend.digits[i] - borrow;
+            if (i < subtrahend.digits.length)
+                result -= subtrahend.digits[i];
+
+            // Borrow from the next digit if the result is negative.
+            borrow = result < 0 ? 1 : 0;
+            newDigits[i] = result + borrow * BigInteger.BASE;
+        }
+
+        return new BigInteger(stripLeadingZeroDigits(newDigits), negative);
+    }
+
+    // Both numbers are negative.
+    if (this.negative) {
+
+        // This BigInteger is less than other.
+        if (this.compare(other) < 0)
+            return longSubtraction(this.abs(), other.abs(), true);
+
+        // This BigInteger is greater than or equal to other.
+        else
+            return longSubtraction(other.abs(), this.abs(), false);
+
+    // Both numbers are positive.
+    } else {
+
+        // This BigInteger is greater than or equal to other.
+        if (this.compare(other) >= 0)
+            return longSubtraction(this.abs(), other.abs(), false);
+
+        // This BigInteger is less than other.
+        else
+            return longSubtraction(other.abs(), this.abs(), true);
+    }
+}
+
+
+/**
+ * Calculates the product of this BigInteger multiplied by another. Small numbers are multiplied
+ * with the schoolbook algorithm, while larger numbers are split up using the Karatsuba or Toom-Cook
+ * algorithms, which need fewer digit multiplications.
+ *
+ * @param {BigInteger} other The BigInteger by which this one will be multiplied.
+ *
+ * @return {BigInteger} The product of the multiplication.
+ */
+BigInteger.prototype.multiply = function(other) {
+
+    // Check for multiplication by zero.
+    if (this.isZero() || other.isZero())
+        return BigInteger.ZERO;
+
+    // The sign of the result is the signs of the factors xor'ed.
+    return new BigInteger(multiplyDigits(this.digits, other.digits),
+        this.negative ^ other.negative);
+}
+
+
+/**
+ * Calculates the square of this BigInteger. This is faster than multiplying the BigInteger by
+ * itself with the general algorithm, because each product of two different digits only has to be
+ * calculated once. Large numbers are squared with the Karatsuba and Toom-Cook algorithms, whose
+ * smaller products are squares too, so the symmetric schoolbook squaring is used at every size.
+ *
+ * @return {BigInteger} The square of this BigInteger.
+ */
+BigInteger.prototype.square = function() {
+    if (this.isZero())
+        return BigInteger.ZERO;
+    return new BigInteger(multiplyDigits(this.digits, this.digits), false);
+}
+
+
+/**
+ * Helper function that multiplies two arrays of digits, choosing the fastest algorithm for their
+ * size. If both arrays are the same object, the digits are squared.
+ *
+ * @param {Array} first The digits of the first factor. Must not be empty.
+ * @param {Array} second The digits of the second factor. Must not be empty.
+ *
+ * @return {Array} The digits of the product, without leading zeroes.
+ */
+function multiplyDigits(first, second) {
+    var length = Math.min(first.length, second.length);
+
+    if (length < KARATSUBA_THRESHOLD)
+        return first === second ? schoolbookSquare(first) : schoolbookMultiply(first, second);
+
+    if (length < TOOM_COOK_THRESHOLD)
+        return karatsubaMultiply(first, second);
+
+    return toomCookMultiply(first, second);
+}
+
+
+/**
+ * Helper function that multiplies two arrays of digits with the schoolbook long multiplication
+ * algorithm. Each row is accumulated directly into the digits of the product, so no intermediate
+ * numbers are created.
+ *
+ * @param {Array} first The digits of the first factor. Must not be empty.
+ * @param {Array} second The digits of the second factor. Must not be empty.
+ *
+ * @return {Array} The digits of the product, without leading zeroes.
+ */
+function schoolbookMultiply(first, second) {
+    var product = new Array(first.length + second.length);
+    for (var i = 0; i < product.length; i++)
+        product[i] = 0;
+
+    for (var i = 0; i < first.length; i++) {
+        var digit = first[i];
+        if (digit === 0)
+            continue;
+
+        // Each term is less than 2 ^ 53, so it fits exactly into a native Number.
+        var carry = 0;
+        for (var j = 0; j < second.length; j++) {
+            var term = digit * second[j] + product[i + j] + carry;
+            carry = Math.floor(term / BigInteger.BASE);
+            product[i + j] = term - carry * BigInteger.BASE;
+        }
+        product[i + second.length] = carry;
+    }
+
+    while (product[product.length - 1] === 0)
+        product.length--;
+
+    return product;
+}
+
+
+/**
+ * Helper function that squares an array of digits with the schoolbook algorithm. The products of
+ * different digits appear twice in the square, so they are only calculated once and then doubled,
+ * before the squares of the individual digits are added.
+ *
+ * @param {Array} digits The digits to be squared. Must not be empty.
+ *
+ * @return {Array} The digits of the square, without leading zeroes.
+ */
+function schoolbookSquare(digits) {
+    var square = new Array(2 * digits.length);
+    for (var i = 0; i < square.length; i++)
+        square[i] = 0;
+
+    // Calculate the products of different digits.
+    for (var i = 0; i < digits.length - 1; i++) {
+        var digit = digits[i];
+        if (digit === 0)
+            continue;
+
+        var carry = 0;
+        for (var j = i + 1; j < digits.length; j++) {
+            var term = digit * digits[j] + square[i + j] + carry;
+            carry = Math.floor(term / BigInteger.BASE);
+            square[i + j] = term - carry * BigInteger.BASE;
+        }
+        square[i + digits.length] = carry;
+    }
+
+    // Double the products, then add the squares of the digits.
+    var carry = 0;
+    for (var i = 0; i < square.length; i++) {
+        var term = 2 * square[i] + carry;
+        if (i % 2 === 0)
+            term += digits[i / 2] * digits[i / 2];
+
+        carry = Math.floor(term / BigInteger.BASE);
+        square[i] = term - carry * BigInteger.BASE;
+    }
+
+    while (square[square.length - 1] === 0)
+        square.length--;
+
+    return square;
+}
+
+
+/**
+ * Helper function that adds two arrays of digits.
+ *
+ * @param {Array} first The digits of the first number.
+ * @param {Array} second The digits of the second number.
+ *
+ * @return {Array} The digits of the sum, without leading zeroes.
+ */
+function addDigits(first, second) {
+    if (first.length < second.length) {
+        var temp = first;
+        first = second;
+        second = temp;
+    }
+
+    var sum = new Array(first.length + 1);
+    var carry = 0;
+    for (var i = 0; i < first.length; i++) {
+        var term = first[i] + (i < second.length ? second[i] : 0) + carry;
+        carry = term >= BigInteger.BASE ? 1 : 0;
+        sum[i] = term - carry * BigInteger.BASE;
+    }
+    sum[first.length] = carry;
+
+    while (sum[sum.length - 1] === 0)
+        sum.length--;
+
+    return sum;
+}
+
+
+/**
+ * Helper function that subtracts one array of digits from another, in place.
+ *
+ * @param {Array} minuend The digits being subtracted from. Must be at least as large as the
+ *     subtrahend. Leading zeroes are not removed.
+ * @param {Array} subtrahend The digits to subtract.
+ * @param {Number} offset The number of digits by which the subtrahend is shifted up.
+ */
+function subtractDigitsInPlace(minuend, subtrahend, offset) {
+    var borrow = 0;
+    for (var i = 0; i < subtrahend.length || borrow !== 0; i++) {
+        var term = minuend[i + offset] - (i < subtrahend.length ? subtrahend[i] : 0) - borrow;
+        borrow = term < 0 ? 1 : 0;
+        minuend[i + offset] = term + borrow * BigInteger.BASE;
+    }
+}
+
+
+/**
+ * Helper function that adds one array of digits to another, in place.
+ *
+ * @param {Array} target The digits being added to. Must be long enough to hold the sum.
+ * @param {Array} addend The digits to add.
+ * @param {Number} offset The number of digits by which the addend is shifted up.
+ */
+function addDigitsInPlace(target, addend, offset) {
+    var carry = 0;
+    for (var i = 0; i < addend.length || carry !== 0; i++) {
+        var term = target[i + offset] + (i < addend.length ? addend[i] : 0) + carry;
+        carry = term >= BigInteger.BASE ? 1 : 0;
+        target[i + offset] = term - carry * BigInteger.BASE;
+    }
+}
+
+
+/**
+ * Helper function that takes a slice of an array of digits, without leading zeroes.
+ *
+ * @param {Array} digits The digits to slice.
+ * @param {Number} start The index of the first digit of the slice.
+ * @param {Number} end The index after the last digit of the slice.
+ *
+ * @return {Array} The digits of the slice.
+ */
+function sliceDigits(digits, start, end) {
+    var slice = digits.slice(start, end);
+    while (slice[slice.length - 1] === 0)
+        slice.length--;
+    return slice;
+}
+
+
+/**
+ * Helper function that multiplies two arrays of digits with the Karatsuba algorithm. Each factor is
+ * split into a high and low half, and the product is calculated from only three multiplications of
+ * the halves rather than four:
+ *
+ *     (a1 B + a0)(b1 B + b0) = z2 B^2 + ((a1 + a0)(b1 + b0) - z2 - z0) B + z0,
+ *
+ * where z2 = a1 b1 and z0 = a0 b0. If both arrays are the same object, the halves are squared.
+ *
+ * @param {Array} first The digits of the first factor. Must not be empty.
+ * @param {Array} second The digits of the second factor. Must not be empty.
+ *
+ * @return {Array} The digits of the product, without leading zeroes.
+ */
+function karatsubaMultiply(first, second) {
+    var squaring = first === second;
+    var half = Math.floor((Math.max(first.length, second.length) + 1) / 2);
+
+    var product = new Array(first.length + second.length + 1);
+    for (var i = 0; i < product.length; i++)
+        product[i] = 0;
+
+    var firstLow = sliceDigits(first, 0, half);
+    var firstHigh = sliceDigits(first, half, first.length);
+    var secondLow = squaring ? firstLow : sliceDigits(second, 0, half);
+    var secondHigh = squaring ? firstHigh : sliceDigits(second, half, second.length);
+
+    // The shorter factor may not have a high half at all.
+    if (firstHigh.length === 0 || secondHigh.length === 0) {
+        if (firstLow.length > 0 && secondLow.length > 0)
+            addDigitsInPlace(product, multiplyDigits(firstLow, secondLow), 0);
+        if (firstHigh.length > 0 && secondLow.length > 0)
+            addDigitsInPlace(product, multiplyDigits(firstHigh, secondLow), half);
+        if (secondHigh.length > 0 && firstLow.length > 0)
+            addDigitsInPlace(product, multiplyDigits(firstLow, secondHigh), half);
+
+    } else {
+        var low = firstLow.length > 0 && secondLow.length > 0
+            ? multiplyDigits(firstLow, secondLow) : [];
+        var high = multiplyDigits(firstHigh, secondHigh);
+
+        var firstSum = addDigits(firstLow, firstHigh);
+        var secondSum = squaring ? firstSum : addDigits(secondLow, secondHigh);
+        var middle = multiplyDigits(firstSum, secondSum);
+
+        // The middle term is always at least as large as the sum of the low and high terms.
+        subtractDigitsInPlace(middle, low, 0);
+        subtractDigitsInPlace(middle, high, 0);
+
+        addDigitsInPlace(product, low, 0);
+        addDigitsInPlace(product, middle, half);
+        addDigitsInPlace(product, high, 2 * half);
+    }
+
+    while (product[product.length - 1] === 0)
+        product.length--;
+
+    return product;
+}
+
+
+/**
+ * Helper function that multiplies two arrays of digits with the Toom-Cook 3-way algorithm. Each
+ * factor is split into three parts and treated as a polynomial, which is evaluated at the points 0,
+ * 1, -1, -2 and infinity. The five products of the evaluations determine the product polynomial,
+ * which is recovered using Bodrato's interpolation sequence. Five multiplications of parts that are
+ * a third of the size replace the nine of the schoolbook algorithm. If both arrays are the same
+ * object, the evaluations are squared.
+ *
+ * @param {Array} first The digits of the first factor. Must not be empty.
+ * @param {Array} second The digits of the second factor. Must not be empty.
+ *
+ * @return {Array} The digits of the product, without leading zeroes.
+ */
+function toomCookMultiply(first, second) {
+    var squaring = first === second;
+    var third = Math.ceil(Math.max(first.length, second.length) / 3);
+
+    /**
+     * Splits an array of digits into three parts and evaluates them as a polynomial.
+     *
+     * @param {Array} digits The digits to be split.
+     *
+     * @return {Array} The evaluations at 0, 1, -1, -2 and infinity, as BigIntegers.
+     */
+    var evaluate = function(digits) {
+        var p0 = new BigInteger(sliceDigits(digits, 0, third), false);
+        var p1 = new BigInteger(sliceDigits(digits, third, 2 * third), false);
+        var p2 = new BigInteger(sliceDigits(digits, 2 * third, digits.length), false);
+
+        var sum = p0.add(p2);
+        var atNegativeOne = sum.subtract(p1);
+        var atNegativeTwo = atNegativeOne.add(p2).shiftLeft(1).subtract(p0);
+
+        return [p0, sum.add(p1), atNegativeOne, atNegativeTwo, p2];
+    }
+
+    var firstValues = evaluate(first);
+    var secondValues = squaring ? firstValues : evaluate(second);
+
+    // Multiply the evaluations pointwise.
+    var values = new Array(5);
+    for (var i = 0; i < 5; i++) {
+        values[i] = squaring ? firstValues[i].square()
+            : firstValues[i].multiply(secondValues[i]);
+    }
+
+    // Interpolate the coefficients of the product.
+    var r0 = values[0];
+    var r4 = values[4];
+    var r3 = divideByNativeNumber(values[3].subtract(values[1]), 3);
+    var r1 = divideByNativeNumber(values[1].subtract(values[2]), 2);
+    var r2 = values[2].subtract(values[0]);
+    r3 = divideByNativeNumber(r2.subtract(r3), 2).add(r4.shiftLeft(1));
+    r2 = r2.add(r1).subtract(r4);
+    r1 = r1.subtract(r3);
+
+    // Every coefficient is non-negative, so they can be added into the product directly.
+    var product = new Array(first.length + second.length + 1);
+    for (var i = 0; i < product.length; i++)
+        product[i] = 0;
+
+    var coefficients = [r0, r1, r2, r3, r4];
+    for (var i = 0; i < coefficients.length; i++)
+        addDigitsInPlace(product, coefficients[i].digits, i * third);
+
+    while (product[product.length - 1] === 0)
+        product.length--;
+
+    return product;
+}
+
+
+/**
+ * Calculates the quotient of a BigInteger divided by a native JS Number object.
+ * The number should be no larger than BigInteger.BASE, so that base * carry + digit
+ * still fits exactly into a native Number.
+ *
+ * @param  {BigIngteger} bigIntegerDividend The BigInteger to be divided.
+ * @param  {Number} number The number by which the BigInteger is to be divided.
+ *
+ * @return {BigInteger} The quotient.
+ */
+function divideByNativeNumber(bigIntegerDividend, number) {
+
+    if (number === 0)
+        throw new BigIntegerDivisionByZeroError(bigIntegerDividend, BigInteger.ZERO);
+
+    var quotient = divideDigitsByNativeNumber(bigIntegerDividend.digits, Math.abs(number)).quotient;
+
+    return new BigInteger(quotient,
+        quotient.length > 0 && (bigIntegerDividend.negative ^ (number < 0)) === 1);
+}
+
+
+/**
+ * Helper function that divides an array of digits by a positive native Number using short
+ * division. The number should be no larger than BigInteger.BASE, so that base * carry + digit
+ * still fits exactly into a native Number.
+ *
+ * @param {Array} dividendDigits The digits of the dividend.
+ * @param {Number} divisor The positive number by which the digits are divided.
+ *
+ * @return {Object} An object with the property 'quotient', the digits of the quotient without
+ *     leading zeroes, and the property 'remainder', the remainder as a Number.
+ */
+function divideDigitsByNativeNumber(dividendDigits, divisor) {
+    var quotient = new Array(dividendDigits.length);
+    var carry = 0;
+
+    for (var i = quotient.length - 1; i >= 0; i--) {
+        var value = BigInteger.BASE * carry + dividendDigits[i];
+        quotient[i] = Math.floor(value / divisor);
+        carry = value % divisor;
+    }
+
+    while (quotient[quotient.length - 1] === 0)
+        quotient.length--;
+
+    return { quotient: quotient, remainder: carry };
+}
+
+
+/**
+ * Helper function that calculates the remainder of an array of digits divided by a positive native
+ * Number. This is short division without the quotient, so it does not allocate any memory. The
+ * number should be no larger than BigInteger.BASE.
+ *
+ * @param {Array} dividendDigits The digits of the dividend.
+ * @param {Number} divisor The positive number by which the digits are divided.
+ *
+ * @return {Number} The remainder, in the range [0, divisor).
+ */
+function remainderDigitsByNativeNumber(dividendDigits, divisor) {
+    var remainder = 0;
+
+    for (var i = dividendDigits.length - 1; i >= 0; i--)
+        remainder = (BigInteger.BASE * remainder + dividendDigits[i]) % divisor;
+
+    return remainder;
+}
+
+
+/**
+ * Helper function that shifts an array of digits left by less than a single digit's worth of bits.
+ *
+ * @param {Array} digits The digits to be shifted.
+ * @param {Number} shift The number of bits to shift by, in the range
+ *     [0, BigInteger.BITS_PER_DIGIT).
+ *
+ * @return {Array} The shifted digits, which have one more digit than 'digits'. The extra digit may
+ *     be zero.
+ */
+function shiftDigitsLeft(digits, shift) {
+    var shifted = new Array(digits.length + 1);
+    var carry = 0;
+
+    for (var i = 0; i < digits.length; i++) {
+        shifted[i] = ((digits[i] << shift) & DIGIT_MASK) | carry;
+        carry = shift === 0 ? 0 : digits[i] >>> (BigInteger.BITS_PER_DIGIT - shift);
+    }
+    shifted[digits.length] = carry;
+
+    return shifted;
+}
+
+
+/**
+ * Helper function that shifts an array of digits right by less than a single digit's worth of
+ * bits, discarding the bits that are shifted out.
+ *
+ * @param {Array} digits The digits to be shifted.
+ * @param {Number} shift The number of bits to shift by, in the range
+ *     [0, BigInteger.BITS_PER_DIGIT).
+ *
+ * @return {Array} The shifted digits, without leading zeroes.
+ */
+function shiftDigitsRight(digits, shift) {
+    var shifted = new Array(digits.length);
+
+    for (var i = 0; i < digits.length; i++) {
+        shifted[i] = digits[i] >>> shift;
+        if (shift !== 0 && i + 1 < digits.length)
+            shifted[i] |= (digits[i + 1] << (BigInteger.BITS_PER_DIGIT - shift)) & DIGIT_MASK;
+    }
+
+    while (shifted[shifted.length - 1] === 0)
+        shifted.length--;
+
+    return shifted;
+}
+
+
+/**
+ * Helper function that divides the digits of one number by the digits of another, using Knuth's
+ * Algorithm D. Both numbers are first shifted so that the most significant bit of the divisor is
+ * set, which guarantees that each estimated digit of the quotient is at most two too large. The
+ * estimate is corrected with the next digit of the divisor, so that it is almost always exact, and
+ * in the rare case that it is still one too large, the divisor is added back.
+ *
+ * @param {Array} dividendDigits The digits of the dividend.
+ * @param {Array} divisorDigits The digits of the divisor. Must have at least two digits, and must
+ *     not be greater than the dividend.
+ *
+ * @return {Object} An object with the properties 'quotient' and 'remainder', which are the digit
+ *     arrays of the quotient and remainder, without leading zeroes.
+ */
+function longDivision(dividendDigits, divisorDigits) {
+    var n = divisorDigits.length;
+    var m = dividendDigits.length - n;
+
+    // Normalize the divisor and dividend.
+    var shift = BigInteger.BITS_PER_DIGIT - digitBitLength(divisorDigits[n - 1]);
+    var divisor = shiftDigitsLeft(divisorDigits, shift);
+    var remainder = shiftDigitsLeft(dividendDigits, shift);
+    divisor.length = n;
+
+    var divisorHigh = divisor[n - 1];
+    var divisorNext = divisor[n - 2];
+
+    var quotient = new Array(m + 1);
+
+    for (var j = m; j >= 0; j--) {
+
+        // Estimate the next digit of the quotient from the leading digits.
+        var numerator = remainder[j + n] * BigInteger.BASE + remainder[j + n - 1];
+        var qt = Math.floor(numerator / divisorHigh);
+        var rt = numerator - qt * divisorHigh;
+
+        while (qt >= BigInteger.BASE
+                || qt * divisorNext > rt * BigInteger.BASE + remainder[j + n - 2]) {
+            qt--;
+            rt += divisorHigh;
+            if (rt >= BigInteger.BASE)
+                break;
+        }
+
+        // Subtract the product of the trial digit and the divisor from the remainder.
+        var carry = 0;
+        var borrow = 0;
+        for (var i = 0; i < n; i++) {
+            var product = qt * divisor[i] + carry;
+            carry = Math.floor(product / BigInteger.BASE);
+
+            var difference = remainder[i + j] - (product - carry * BigInteger.BASE) - borrow;
+            borrow = difference < 0 ? 1 : 0;
+            remainder[i + j] = difference + borrow * BigInteger.BASE;
+        }
+        remainder[j + n] -= carry + borrow;
+
+        // If the trial digit was still too large, add the divisor back.
+        if (remainder[j + n] < 0) {
+            qt--;
+            carry = 0;
+            for (var i = 0; i < n; i++) {
+                var sum = remainder[i + j] + divisor[i] + carry;
+                carry = sum >= BigInteger.BASE ? 1 : 0;
+                remainder[i + j] = sum - carry * BigInteger.BASE;
+            }
+            remainder[j + n] += carry;
+        }
+
+        quotient[j] = qt;
+    }
+
+    while (quotient[quotient.length - 1] === 0)
+        quotient.length--;
+
+    // Undo the normalization of the remainder.
+    remainder.length = n;
+
+    return { quotient: quotient, remainder: shiftDigitsRight(remainder, shift) };
+}
+
+
+/**
+ * Calculates the quotient of this BigInteger divided by another.
+ *
+ * @param  {BigInteger} other The divisor. Cannot be zero.
+ *
+ * @return {BigInteger} The quotient, which is truncated towards zero.
+ */
+BigInteger.prototype.divide = function(other) {
+
+    // Throw an exception for a divisor of zero.
+    if (other.isZero())
+        throw new BigIntegerDivisionByZeroError(this, other);
+
+    // Create positive versions of this and other.
+    var dividend = this.abs();
+    var divisor = other.abs();
+
+    // If the dividend is less than the divisor, zero can be immediately returned.
+    if (dividend.compare(divisor) < 0)
+        return BigInteger.ZERO;
+
+    // If the dividend is less than the value of the maximum JS number, primitive
+    // division can be used. The remainder is subtracted first so that the division is exact.
+    if (dividend.compare(BigInteger.MAX_NATIVE) < 0) {
+        var numerator = dividend.toNumber();
+        var denominator = divisor.toNumber();
+        var magnitude = (numerator - numerator % denominator) / denominator;
+        return new BigInteger((this.negative ^ other.negative) ? -magnitude : magnitude);
+    }
+
+    // If the divisor is smaller than a single digit, a simpler long division algorithm can be
+    // used. Larger divisors would overflow the native carry calculation.
+    if (divisor.compare(BigInteger.BASE_AS_BIGINTEGER) < 0)
+        return divideByNativeNumber(this, other.toNumber());
+
+    var quotient = longDivision(dividend.digits, divisor.digits).quotient;
+
+    return new BigInteger(quotient, this.negative ^ other.negative);
+}
+
+
+/**
+ * Calculates the quotient and remainder of this BigInteger divided by another, using a single
+ * division. The quotient is truncated toward zero, like the result of divide, and the remainder has
+ * the same sign as this BigInteger, so that quotient * other + remainder equals this BigInteger.
+ *
+ * @param {BigInteger} other The divisor. Cannot be zero.
+ *
+ * @return {Object} An object with the BigInteger properties 'quotient' and 'remainder'.
+ */
+BigInteger.prototype.divideAndRemainder = function(other) {
+
+    // Throw an exception for a divisor of zero.
+    if (other.isZero())
+        throw new BigIntegerDivisionByZeroError(this, other);
+
+    // Create positive versions of this and other.
+    var dividend = this.abs();
+    var divisor = other.abs();
+
+    // If the dividend is less than the divisor, the whole dividend is left over.
+    if (dividend.compare(divisor) < 0)
+        return { quotient: BigInteger.ZERO, remainder: this };
+
+    var negativeQuotient = (this.negative ^ other.negative) === 1;
+    var quotient, remainder;
+
+    // If the dividend is less than the value of the maximum JS number, primitive division can be
+    // used.
+    if (dividend.compare(BigInteger.MAX_NATIVE) < 0) {
+        var numerator = dividend.toNumber();
+        var denominator = divisor.toNumber();
+        var remainderValue = numerator % denominator;
+        var quotientValue = (numerator - remainderValue) / denominator;
+
+        quotient = new BigInteger(negativeQuotient ? -quotientValue : quotientValue);
+        remainder = new BigInteger(this.negative ? -remainderValue : remainderValue);
+
+    // If the divisor is smaller than a single digit, a simpler long division algorithm can be used.
+    } else if (divisor.compare(BigInteger.BASE_AS_BIGINTEGER) < 0) {
+        var parts = divideDigitsByNativeNumber(dividend.digits, divisor.toNumber());
+        quotient = new BigInteger(parts.quotient, negativeQuotient);
+        remainder = new BigInteger(this.negative ? -parts.remainder : parts.remainder);
+
+    } else {
+        var parts = longDivision(dividend.digits, divisor.digits);
+        quotient = new BigInteger(parts.quotient, negativeQuotient);
+        remainder = new BigInteger(parts.remainder, parts.remainder.length > 0 && this.negative);
+    }
+
+    return { quotient: quotient, remainder: remainder };
+}
+
+
+/**
+ * Calculates the result of this BigInteger modulo another BigInteger. The result is the remainder
+ * of the absolute values, so it is never negative regardless of the signs of the dividend or
+ * divisor. Note that this differs from both remainder and mod when the dividend is negative.
+ *
+ * @param  {BigInteger} other The modulus. Cannot be zero.
+ *
+ * @return {BigInteger} The result.
+ */
+BigInteger.prototype.modulo = function(other) {
+
+    // Throw an exception for a modulus of zero.
+    if (other.isZero())
+        throw new BigIntegerDivisionByZeroError(this, other);
+
+    // Create positive versions of this and other.
+    var dividend = this.abs();
+    var divisor = other.abs();
+
+    // If the dividend is less than the divisor, simply return the dividend.
+    if (dividend.compare(divisor) < 0)
+        return dividend;
+
+    // If the dividend is less than the value of the maximum JS number, primitive modulo can be
+    // used. Note that 'this' and 'other' are used instead of 'dividend' and 'divisor' to maintain
+    // sign value.
+    if (dividend.compare(BigInteger.MAX_NATIVE) < 0)
+        return new BigInteger(Math.floor(Math.abs(this.toNumber() % other.toNumber())));
+
+    // If the divisor is smaller than a single digit, we can use a simpler function to calculate the
+    // remainder.
+    if (divisor.compare(BigInteger.BASE_AS_BIGINTEGER) < 0)
+        return (function(number, mod){
+            var carry = 0;
+            for (var i = number.digits.length - 1; i >= 0; i--)
+                carry = (carry * BigInteger.BASE + number.digits[i]) % mod;
+            return new BigInteger(carry);
+        })(this, divisor.toNumber());
+
+    return new BigInteger(longDivision(dividend.digits, divisor.digits).remainder, false);
+}
+
+
+/**
+ * Calculates the quotient of this BigInteger divided by another, rounded towards negative infinity.
+ * For example, -7 divided by 2 is -4.
+ *
+ * @param {BigInteger} other The divisor. Cannot be zero.
+ *
+ * @return {BigInteger} The largest integer that is not greater than the exact quotient.
+ */
+BigInteger.prototype.divideFloor = function(other) {
+    var parts = this.divideAndRemainder(other);
+
+    // The truncated quotient is too large if the exact quotient is negative and not an integer.
+    if (!parts.remainder.isZero() && this.negative != other.negative)
+        return parts.quotient.subtract(BigInteger.ONE);
+
+    return parts.quotient;
+}
+
+
+/**
+ * Calculates the quotient of this BigInteger divided by another, rounded towards positive infinity.
+ * For example, 7 divided by 2 is 4.
+ *
+ * @param {BigInteger} other The divisor. Cannot be zero.
+ *
+ * @return {BigInteger} The smallest integer that is not less than the exact quotient.
+ */
+BigInteger.prototype.divideCeil = function(other) {
+    var parts = this.divideAndRemainder(other);
+
+    // The truncated quotient is too small if the exact quotient is positive and not an integer.
+    if (!parts.remainder.isZero() && this.negative == other.negative)
+        return parts.quotient.add(BigInteger.ONE);
+
+    return parts.quotient;
+}
+
+
+/**
+ * Calculates the Euclidean quotient of this BigInteger divided by another. This is the quotient
+ * that leaves a non-negative remainder, so it is rounded down for a positive divisor and up for a
+ * negative one. The remainder is given by mod. For example, -7 divided by 2 is -4 and -7 divided by
+ * -2 is 4, both with a remainder of 1.
+ *
+ * @param {BigInteger} other The divisor. Cannot be zero.
+ *
+ * @return {BigInteger} The quotient q, such that this = q * other + r, where 0 <= r < |other|.
+ */
+BigInteger.prototype.divideEuclid = function(other) {
+    var parts = this.divideAndRemainder(other);
+
+    // A negative remainder is made positive by moving the quotient one step away from zero.
+    if (parts.remainder.negative && !parts.remainder.isZero())
+        return other.negative ? parts.quotient.add(BigInteger.ONE)
+            : parts.quotient.subtract(BigInteger.ONE);
+
+    return parts.quotient;
+}
+
+
+/**
+ * Calculates the remainder of this BigInteger divided by another, which has the same sign as this
+ * BigInteger. This is the remainder left by divide, which truncates towards zero. For example, the
+ * remainder of -7 divided by 2 is -1.
+ *
+ * @param {BigInteger} other The divisor. Cannot be zero.
+ *
+ * @return {BigInteger} The remainder, whose absolute value is less than that of the divisor.
+ */
+BigInteger.prototype.remainder = function(other) {
+    return this.divideAndRemainder(other).remainder;
+}
+
+
+/**
+ * Calculates this BigInteger modulo another, which is always non-negative regardless of the signs
+ * of the dividend or divisor. This is the remainder left by divideEuclid. For example, -7 mod 2 is
+ * 1.
+ *
+ * @param {BigInteger} other The modulus. Cannot be zero.
+ *
+ * @return {BigInteger} The result, in the range [0, |other|).
+ */
+BigInteger.prototype.mod = function(other) {
+    var remainder = this.divideAndRemainder(other).remainder;
+
+    if (remainder.negative && !remainder.isZero())
+        return remainder.add(other.abs());
+
+    return remainder;
+}
+
+
+/**
+ * Calculates this BigInteger raised to the power of a number.
+ *
+ * @param {Number} exponent The exponent.
+ *
+ * @return {BigInteger} The result.
+ */
+BigInteger.prototype.pow = function(exponent) {
+
+    // Throw an error is exponent is NaN.
+    if (typeof(exponent) !== 'number')
+        throw new BigIntegerTypeError('Exponent is not a number.', exponent);
+
+    // Throw an error if the exponent is negative.
+    if (exponent < 0)
+        throw new BigIntegerRangeError('Negative exponent.', exponent);
+
+    /**
+     * Calculates the result of one BigInteger raised to the power of a number using the
+     * exponentiation by squaring method.
+     *
+     * @param  {BigInteger} base The base.
+     * @param  {Number} exponent The exponent.
+     *
+     * @return {BigInteger} The result.
+     */
+    var exponentiationBySquaring = function(base, exponent) {
+        if (exponent === 0)
+            return BigInteger.ONE;
+        if (exponent === 1)
+            return base;
+        if (exponent % 2 === 0)
+            return exponentiationBySquaring(base.square(), exponent / 2);
+        return base.multiply(exponentiationBySquaring(base.square(), (exponent - 1) / 2));
+    }
+
+    return exponentiationBySquaring(this, exponent);
+}
+
+
+/**
+ * Calculates the square root of this BigInteger, rounded down.
+ *
+ * @return {BigInteger} The largest BigInteger whose square is not greater than this BigInteger.
+ */
+BigInteger.prototype.sqrt = function() {
+    if (this.negative)
+        throw new BigIntegerRangeError('Square root of a negative number.', this);
+
+    return integerSquareRoot(this);
+}
+
+
+/**
+ * Calculates the square root of this BigInteger, rounded down, and the remainder left over by it.
+ *
+ * @return {Object} An object with the BigInteger property 'root', the square root rounded down,
+ *     and the BigInteger property 'remainder', which is this BigInteger minus the square of the
+ *     root.
+ */
+BigInteger.prototype.sqrtRem = function() {
+    var root = this.sqrt();
+    return { root: root, remainder: this.subtract(root.square()) };
+}
+
+
+/**
+ * Calculates a root of this BigInteger, rounded towards zero. Odd roots of negative numbers are
+ * negative, and even roots of them do not exist.
+ *
+ * @param {Number} degree The degree of the root. Must be a positive integer.
+ *
+ * @return {BigInteger} The root, which is the BigInteger with the largest absolute value whose
+ *     power of 'degree' does not exceed this BigInteger in absolute value.
+ */
+BigInteger.prototype.nthRoot = function(degree) {
+    if (typeof(degree) !== 'number')
+        throw new BigIntegerTypeError('Degree is not a number.', degree);
+    if (degree < 1 || degree !== Math.floor(degree) || degree === Infinity)
+        throw new BigIntegerRangeError('Degree must be a positive integer.', degree);
+    if (this.negative && degree % 2 === 0)
+        throw new BigIntegerRangeError('Even root of a negative number.', this);
+
+    var root = integerRoot(this.abs(), degree);
+    return this.negative ? root.negate() : root;
+}
+
+
+/**
+ * Checks if this BigInteger is the square of a BigInteger.
+ *
+ * @return {Boolean} True if this BigInteger is a perfect square, false otherwise.
+ */
+BigInteger.prototype.isPerfectSquare = function() {
+    if (this.negative)
+        return false;
+    if (this.isZero())
+        return true;
+
+    // A square is 0, 1, 4 or 9 modulo 16, which rules out most other numbers without a root.
+    var residue = this.digits[0] & 15;
+    if (residue !== 0 && residue !== 1 && residue !== 4 && residue !== 9)
+        return false;
+
+    return integerSquareRoot(this).square().equals(this);
+}
+
+
+/**
+ * Checks if this BigInteger is a perfect power, that is, a power of a BigInteger with an exponent
+ * of at least two. Zero, one and minus one are perfect powers, and a negative number is one if it
+ * is an odd power of a negative number.
+ *
+ * @return {Boolean} True if this BigInteger is a perfect power, false otherwise.
+ */
+BigInteger.prototype.isPerfectPower = function() {
+    var abs = this.abs();
+    if (abs.compare(BigInteger.ONE) <= 0)
+        return true;
+
+    var exponent = perfectPower(abs).exponent;
+    if (!this.negative)
+        return exponent > 1;
+
+    // An odd factor of the exponent makes a negative base possible.
+    while (exponent % 2 === 0)
+        exponent /= 2;
+    return exponent > 1;
+}
+
+
+/**
+ * Calculates the modulus of this BigInteger raised to some power. A negative base is first reduced
+ * into the range [0, |modulus|), so that the result is a power of the same residue for every
+ * exponent. A negative exponent raises the modular inverse of this BigInteger to the absolute
+ * value of the exponent, so it is only permitted if this BigInteger is invertible modulo
+ * 'modulus'. The power is calculated in a ModContext, with sliding-window exponentiation.
+ *
+ * @param {BigInteger} exponent The exponent to which this BigInteger is raised.
+ * @param {BigInteger} modulus The modulus.
+ *
+ * @return {BigInteger} The result of the modPow operation.
+ */
+BigInteger.prototype.modPow = function(exponent, modulus) {
+
+    // A negative exponent is a positive power of the inverse.
+    if (exponent.negative)
+        return this.modInverse(modulus).modPow(exponent.negate(), modulus);
+
+    if (exponent.isZero())
+        return BigInteger.ONE;
+
+    // Throw an exception for a modulus of zero.
+    if (modulus.isZero())
+        throw new BigIntegerDivisionByZeroError(this, modulus);
+
+    return new ModContext(modulus.abs()).pow(this.mod(modulus), exponent);
+}
+
+
+/**
+ * Helper function that copies an array of digits, with zeroes added to make it a fixed length.
+ *
+ * @param {Array} digits The digits, of which there are at most 'length'.
+ * @param {Number} length The length of the copy.
+ *
+ * @return {Array} The copy.
+ */
+function padDigits(digits, length) {
+    var padded = digits.slice();
+    while (padded.length < length)
+        padded.push(0);
+    return padded;
+}
+
+
+/**
+ * Helper function that compares the first digits of two arrays, which may have leading zeroes.
+ *
+ * @param {Array} first The digits of the first number.
+ * @param {Array} second The digits of the second number.
+ * @param {Number} length The number of digits to compare, which both arrays have.
+ *
+ * @return {Number} -1 if the first number is smaller, 0 if they are equal and 1 if it is larger.
+ */
+function compareDigits(first, second, length) {
+    for (var i = length - 1; i >= 0; i--) {
+        if (first[i] !== second[i])
+            return first[i] < second[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+
+/**
+ * Helper function that calculates the negated inverse of an odd digit modulo BigInteger.BASE, which
+ * is the factor used by Montgomery multiplication to cancel the lowest digit. Newton's iteration
+ * x = x * (2 - d * x) doubles the number of correct low bits of the inverse, and d itself is
+ * correct to three bits, since the square of every odd number is one modulo eight.
+ *
+ * @param {Number} digit The odd digit.
+ *
+ * @return {Number} The digit x such that digit * x = -1 modulo BigInteger.BASE.
+ */
+function negatedDigitInverse(digit) {
+    var inverse = digit;
+    for (var i = 0; i < 4; i++)
+        inverse = multiplyUint32(inverse, 2 - multiplyUint32(digit, inverse));
+    return (BigInteger.BASE - (inverse & DIGIT_MASK)) & DIGIT_MASK;
+}
+
+
+/**
+ * Helper function that multiplies two numbers with Montgomery multiplication, which calculates
+ * first * second / R modulo an odd modulus, where R = BigInteger.BASE ^ n for a modulus of n
+ * digits. After each digit of the first factor is multiplied in, a multiple of the modulus is added
+ * so that the lowest digit is zero, which is then dropped. This divides by the base without any
+ * trial quotients, unlike long division.
+ *
+ * @param {Array} first The digits of the first factor, which is less than the modulus, padded to n
+ *     digits.
+ * @param {Array} second The digits of the second factor, padded in the same way.
+ * @param {Array} modulus The digits of the modulus, without leading zeroes.
+ * @param {Number} inverse The negated inverse of the lowest digit of the modulus.
+ * @param {Boolean} constantTime Optional. True if the final subtraction of the modulus should take
+ *     the same time whether or not it is needed.
+ *
+ * @return {Array} The digits of the product divided by R, which is less than the modulus, padded
+ *     to n digits.
+ */
+function montgomeryMultiplyDigits(first, second, modulus, inverse, constantTime) {
+    var n = modulus.length;
+    var product = new Array(n + 2);
+    for (var i = 0; i < product.length; i++)
+        product[i] = 0;
+
+    for (var i = 0; i < n; i++) {
+
+        // Each term is less than 2 ^ 53, so it fits exactly into a native Number.
+        var digit = first[i];
+        var carry = 0;
+        for (var j = 0; j < n; j++) {
+            var term = product[j] + digit * second[j] + carry;
+            carry = Math.floor(term / BigInteger.BASE);
+            product[j] = term - carry * BigInteger.BASE;
+        }
+        var term = product[n] + carry;
+        carry = Math.floor(term / BigInteger.BASE);
+        product[n] = term - carry * BigInteger.BASE;
+        product[n + 1] += carry;
+
+        // Add factor * modulus, whose lowest digit cancels that of the product, and shift the
+        // product down by a digit.
+        var factor = (product[0] * inverse) % BigInteger.BASE;
+        carry = Math.floor((product[0] + factor * modulus[0]) / BigInteger.BASE);
+        for (var j = 1; j < n; j++) {
+            var term = product[j] + factor * modulus[j] + carry;
+            carry = Math.floor(term / BigInteger.BASE);
+            product[j - 1] = term - carry * BigInteger.BASE;
+        }
+        term = product[n] + carry;
+        carry = Math.floor(term / BigInteger.BASE);
+        product[n - 1] = term - carry * BigInteger.BASE;
+        product[n] = product[n + 1] + carry;
+        product[n + 1] = 0;
+    }
+
+    // The product is less than twice the modulus.
+    product.length = n + 1;
+    if (constantTime)
+        return subtractModulusConstantTime(product, modulus);
+
+    if (product[n] !== 0 || compareDigits(product, modulus, n) >= 0)
+        subtractDigitsInPlace(product, modulus, 0);
+    product.length = n;
+
+    return product;
+}
+
+
+/**
+ * Helper function that subtracts a modulus from a number less than twice the modulus if the
+ * number is at least the modulus, without branching on either. The difference is always
+ * calculated, and the final borrow selects between it and the number with a bit mask.
+ *
+ * @param {Array} number The n + 1 digits of the number.
+ * @param {Array} modulus The n digits of the modulus.
+ *
+ * @return {Array} The n digits of the number reduced modulo the modulus.
+ */
+function subtractModulusConstantTime(number, modulus) {
+    var n = modulus.length;
+    var difference = new Array(n);
+    var borrow = 0;
+
+    for (var i = 0; i < n; i++) {
+        var term = number[i] - modulus[i] - borrow;
+        borrow = (term >> 31) & 1;
+        difference[i] = term & DIGIT_MASK;
+    }
+
+    // The mask is all ones if the subtraction borrowed past the top digit, and zero otherwise.
+    var mask = (number[n] - borrow) >> 31;
+    for (var i = 0; i < n; i++)
+        difference[i] = (number[i] & mask) | (difference[i] & ~mask);
+
+    return difference;
+}
+
+
+/**
+ * Helper function that swaps the contents of two arrays of digits of the same length if a bit is
+ * set, without branching on the bit.
+ *
+ * @param {Array} first The first array.
+ * @param {Array} second The second array.
+ * @param {Number} bit The bit, which is zero or one.
+ */
+function conditionalSwapDigits(first, second, bit) {
+    var mask = -bit;
+    for (var i = 0; i < first.length; i++) {
+        var difference = mask & (first[i] ^ second[i]);
+        first[i] ^= difference;
+        second[i] ^= difference;
+    }
+}
+
+
+/**
+ * Helper function that reduces a product with Barrett reduction. With k digits in the modulus and
+ * the reciprocal mu = floor(BigInteger.BASE ^ (2 * k) / modulus), the quotient is estimated from
+ * the top digits of the product and the reciprocal, and falls short by at most two.
+ *
+ * @param {BigInteger} product The product. Must be less than BigInteger.BASE ^ (2 * k) and not
+ *     negative.
+ * @param {ModContext} context The context, whose modulus is reduced by.
+ *
+ * @return {BigInteger} The product modulo the modulus.
+ */
+function barrettReduce(product, context) {
+    var k = context.modulus.digits.length;
+    var quotient = product.shiftRight((k - 1) * BigInteger.BITS_PER_DIGIT)
+        .multiply(context.reciprocal).shiftRight((k + 1) * BigInteger.BITS_PER_DIGIT);
+
+    var remainder = product.subtract(quotient.multiply(context.modulus));
+    while (remainder.compare(context.modulus) >= 0)
+        remainder = remainder.subtract(context.modulus);
+    return remainder;
+}
+
+
+/**
+ * Helper function that raises a number to a power with sliding-window exponentiation. The odd
+ * powers up to 2 ^ w of the base are precomputed, and the bits of the exponent are scanned from
+ * the top in windows of at most w bits that start and end with a one, so each window takes a
+ * single multiplication by a precomputed power. Zero bits between windows are only squared.
+ *
+ * @param {Object} base The base, in whatever representation 'multiply' and 'square' use.
+ * @param {BigInteger} exponent The exponent. Must be positive.
+ * @param {Function} multiply A function that multiplies two numbers.
+ * @param {Function} square A function that squares a number.
+ *
+ * @return {Object} The power, in the same representation as the base.
+ */
+function slidingWindowPow(base, exponent, multiply, square) {
+    var bits = exponent.bitLength();
+    var size = bits > 671 ? 6 : bits > 239 ? 5 : bits > 79 ? 4 : bits > 23 ? 3 : 1;
+
+    // Calculate base, base ^ 3, base ^ 5, ..., base ^ (2 ^ size - 1).
+    var powers = [base];
+    if (size > 1) {
+        var baseSquared = square(base);
+        for (var i = 1; i < 1 << (size - 1); i++)
+            powers.push(multiply(powers[i - 1], baseSquared));
+    }
+
+    var result = null;
+    for (var i = bits - 1; i >= 0;) {
+        if (!exponent.testBit(i)) {
+            result = square(result);
+            i--;
+            continue;
+        }
+
+        // Find the longest window from this bit that ends with a one.
+        var low = Math.max(i - size + 1, 0);
+        while (!exponent.testBit(low))
+            low++;
+
+        var value = 0;
+        for (var j = i; j >= low; j--) {
+            value = value * 2 + (exponent.testBit(j) ? 1 : 0);
+            if (result !== null)
+                result = square(result);
+        }
+        var power = powers[(value - 1) / 2];
+        result = result === null ? power : multiply(result, power);
+        i = low - 1;
+    }
+    return result;
+}
+
+
+/**
+ * Creates a context for arithmetic modulo a fixed modulus. The work that depends only on the
+ * modulus is done once, so that many operations with the same modulus are faster than with
+ * multiply and modulo. Odd moduli use Montgomery multiplication, which replaces division by the
+ * modulus with division by a power of the base. Even moduli use Barrett reduction, which replaces
+ * it with multiplications by a precomputed reciprocal. Every operation accepts any BigIntegers
+ * and returns a result in the range [0, modulus).
+ *
+ * @constructor
+ *
+ * @param {BigInteger} modulus The modulus. Must be positive.
+ */
+function ModContext(modulus) {
+    if (!(modulus instanceof BigInteger))
+        throw new BigIntegerTypeError('Modulus is not a BigInteger.', modulus);
+    if (modulus.negative || modulus.isZero())
+        throw new BigIntegerRangeError('Modulus must be positive.', modulus);
+
+    this.modulus = modulus;
+    this.montgomery = !modulus.isEven();
+
+    var size = modulus.digits.length;
+    if (this.montgomery) {
+
+        // R ^ 2 modulo the modulus converts numbers into Montgomery form, x * R.
+        this.inverse = negatedDigitInverse(modulus.digits[0]);
+        this.rSquared = padDigits(BigInteger.ONE.shiftLeft(2 * size * BigInteger.BITS_PER_DIGIT)
+            .modulo(modulus).digits, size);
+    } else {
+        this.reciprocal = BigInteger.ONE.shiftLeft(2 * size * BigInteger.BITS_PER_DIGIT)
+            .divide(modulus);
+    }
+
+    Object.freeze(this);
+}
+
+BigInteger.ModContext = ModContext;
+
+
+/**
+ * Helper function that converts a number into the digits of its Montgomery form, x * R modulo the
+ * modulus of a context.
+ *
+ * @param {BigInteger} number The number, in the range [0, modulus).
+ * @param {ModContext} context The context, which uses Montgomery multiplication.
+ *
+ * @return {Array} The digits of the Montgomery form, padded to the length of the modulus.
+ */
+function toMontgomery(number, context) {
+    var digits = context.modulus.digits;
+    return montgomeryMultiplyDigits(padDigits(number.digits, digits.length), context.rSquared,
+        digits, context.inverse);
+}
+
+
+/**
+ * Helper function that converts the digits of a Montgomery form x * R back into the number x.
+ *
+ * @param {Array} digits The digits of the Montgomery form, padded to the length of the modulus.
+ * @param {ModContext} context The context, which uses Montgomery multiplication.
+ *
+ * @return {BigInteger} The number.
+ */
+function fromMontgomery(digits, context) {
+    var modulus = context.modulus.digits;
+    var number = montgomeryMultiplyDigits(digits, padDigits([1], modulus.length), modulus,
+        context.inverse);
+    return new BigInteger(stripLeadingZeroDigits(number), false);
+}
+
+
+/**
+ * Reduces a BigInteger modulo the modulus of this context.
+ *
+ * @param {BigInteger} a The BigInteger.
+ *
+ * @return {BigInteger} The result, in the range [0, modulus).
+ */
+ModContext.prototype.reduce = function(a) {
+    if (!a.negative && a.compare(this.modulus) < 0)
+        return a;
+    return a.mod(this.modulus);
+}
+
+
+/**
+ * Multiplies two BigIntegers modulo the modulus of this context.
+ *
+ * @param {BigInteger} a The first factor.
+ * @param {BigInteger} b The second factor.
+ *
+ * @return {BigInteger} The product, in the range [0, modulus).
+ */
+ModContext.prototype.mul = function(a, b) {
+    a = this.reduce(a);
+    b = this.reduce(b);
+
+    if (!this.montgomery)
+        return barrettReduce(a.multiply(b), this);
+
+    // Montgomery multiplication of a and b * R gives a * b.
+    var modulus = this.modulus.digits;
+    var product = montgomeryMultiplyDigits(padDigits(a.digits, modulus.length),
+        toMontgomery(b, this), modulus, this.inverse);
+    return new BigInteger(stripLeadingZeroDigits(product), false);
+}
+
+
+/**
+ * Squares a BigInteger modulo the modulus of this context.
+ *
+ * @param {BigInteger} a The BigInteger.
+ *
+ * @return {BigInteger} The square, in the range [0, modulus).
+ */
+ModContext.prototype.sqr = function(a) {
+    a = this.reduce(a);
+
+    if (!this.montgomery)
+        return barrettReduce(a.square(), this);
+    return this.mul(a, a);
+}
+
+
+/**
+ * Raises a BigInteger to a power modulo the modulus of this context, with sliding-window
+ * exponentiation. A negative exponent raises the inverse of the BigInteger, so it is only
+ * permitted if the BigInteger is invertible.
+ *
+ * @param {BigInteger} a The base.
+ * @param {BigInteger} exponent The exponent.
+ *
+ * @return {BigInteger} The power, in the range [0, modulus).
+ */
+ModContext.prototype.pow = function(a, exponent) {
+    if (exponent.negative)
+        return this.pow(this.inv(a), exponent.negate());
+    if (exponent.isZero())
+        return this.reduce(BigInteger.ONE);
+
+    a = this.reduce(a);
+    var context = this;
+
+    if (!this.montgomery) {
+        return slidingWindowPow(a, exponent, function(x, y) {
+            return barrettReduce(x.multiply(y), context);
+        }, function(x) {
+            return barrettReduce(x.square(), context);
+        });
+    }
+
+    // Work in Montgomery form, where multiplication is Montgomery multiplication.
+    var modulus = this.modulus.digits;
+    var multiply = function(x, y) {
+        return montgomeryMultiplyDigits(x, y, modulus, context.inverse);
+    }
+    var power = slidingWindowPow(toMontgomery(a, this), exponent, multiply, function(x) {
+        return multiply(x, x);
+    });
+    return fromMontgomery(power, this);
+}
+
+
+/**
+ * Adds two BigIntegers modulo the modulus of this context.
+ *
+ * @param {BigInteger} a The first BigInteger.
+ * @param {BigInteger} b The second BigInteger.
+ *
+ * @return {BigInteger} The sum, in the range [0, modulus).
+ */
+ModContext.prototype.add = function(a, b) {
+    var sum = this.reduce(a).add(this.reduce(b));
+    return sum.compare(this.modulus) >= 0 ? sum.subtract(this.modulus) : sum;
+}
+
+
+/**
+ * Subtracts one BigInteger from another modulo the modulus of this context.
+ *
+ * @param {BigInteger} a The BigInteger being subtracted from.
+ * @param {BigInteger} b The BigInteger to subtract.
+ *
+ * @return {BigInteger} The difference, in the range [0, modulus).
+ */
+ModContext.prototype.sub = function(a, b) {
+    var difference = this.reduce(a).subtract(this.reduce(b));
+    return difference.negative ? difference.add(this.modulus) : difference;
+}
+
+
+/**
+ * Calculates the inverse of a BigInteger modulo the modulus of this context. Throws a
+ * BigIntegerNoInverseError if the BigInteger and the modulus are not coprime.
+ *
+ * @param {BigInteger} a The BigInteger.
+ *
+ * @return {BigInteger} The inverse, in the range [0, modulus).
+ */
+ModContext.prototype.inv = function(a) {
+    return a.modInverse(this.modulus);
+}
+
+
+/**
+ * Calculates the modulus of this BigInteger raised to a secret power, in time that does not depend
+ * on the value of the exponent. This is slower than modPow, but suitable for private-key
+ * operations. The exponent is scanned with a Montgomery ladder over a fixed number of bits, which
+ * does one multiplication and one squaring for every bit whatever its value. The two values of the
+ * ladder are swapped with bit masks rather than branches, and Montgomery multiplication is done
+ * over fixed-length digits without an early exit. The time still depends on the sizes of the
+ * numbers, and reducing this BigInteger modulo the modulus depends on its value, so only the
+ * exponent is protected. As in modPow, a negative BigInteger is reduced into the range
+ * [0, modulus).
+ *
+ * @param {BigInteger} exponent The secret exponent. Must not be negative.
+ * @param {BigInteger} modulus The modulus. Must be odd and greater than one.
+ * @param {Number} bits Optional. The number of bits of the exponent that are scanned, which must
+ *     be at least its bit length. Defaults to the bit length of the modulus, or of the exponent if
+ *     that is longer, in which case the time reveals the bit length of the exponent. Give a fixed
+ *     number of bits to hide it for exponents that may be longer than the modulus.
+ *
+ * @return {BigInteger} The result, in the range [0, modulus).
+ */
+BigInteger.prototype.modPowSecure = function(exponent, modulus, bits) {
+    if (!(exponent instanceof BigInteger))
+        throw new BigIntegerTypeError('Exponent is not a BigInteger.', exponent);
+    if (!(modulus instanceof BigInteger))
+        throw new BigIntegerTypeError('Modulus is not a BigInteger.', modulus);
+    if (exponent.negative)
+        throw new BigIntegerRangeError('Negative exponent.', exponent);
+    if (modulus.negative || modulus.isEven() || modulus.equals(BigInteger.ONE))
+        throw new BigIntegerRangeError('Modulus must be odd and greater than one.', modulus);
+
+    if (bits === undefined)
+        bits = Math.max(modulus.bitLength(), exponent.bitLength());
+    if (!isNonNegativeInteger(bits))
+        throw new BigIntegerRangeError('Number of bits must be a non-negative integer.', bits);
+    if (exponent.bitLength() > bits)
+        throw new BigIntegerRangeError('Exponent has more bits than are scanned.', exponent);
+
+    var context = new ModContext(modulus);
+    var digits = modulus.digits;
+    var inverse = context.inverse;
+    var exponentDigits = padDigits(exponent.digits,
+        Math.ceil(bits / BigInteger.BITS_PER_DIGIT) + 1);
+
+    // The ladder keeps high = low * base, starting with low = 1 and high = base, both in
+    // Montgomery form. A clear bit sets high to low * high and low to low ^ 2. For a set bit, the
+    // two are swapped before and after, so that the same operations set low to low * high and
+    // high to high ^ 2.
+    var low = toMontgomery(BigInteger.ONE, context);
+    var high = toMontgomery(this.mod(modulus), context);
+    for (var i = bits - 1; i >= 0; i--) {
+        var bit = (exponentDigits[Math.floor(i / BigInteger.BITS_PER_DIGIT)]
+            >>> (i % BigInteger.BITS_PER_DIGIT)) & 1;
+
+        conditionalSwapDigits(low, high, bit);
+        high = montgomeryMultiplyDigits(low, high, digits, inverse, true);
+        low = montgomeryMultiplyDigits(low, low, digits, inverse, true);
+        conditionalSwapDigits(low, high, bit);
+    }
+
+    var one = padDigits([1], digits.length);
+    low = montgomeryMultiplyDigits(low, one, digits, inverse, true);
+    return new BigInteger(stripLeadingZeroDigits(low), false);
+}
+
+
+/**
+ * Helper function that multiplies a BigInteger by a native Number. The Number may be negative,
+ * zero, or larger than a single digit, as long as it is a safe integer.
+ *
+ * @param {BigInteger} number The BigInteger to be multiplied.
+ * @param {Number} factor The Number by which 'number' is being multiplied.
+ *
+ * @return {BigInteger} The product.
+ */
+function multiplyByNativeNumber(number, factor) {
+    if (factor === 0 || number.isZero())
+        return BigInteger.ZERO;
+    return number.multiply(new BigInteger(factor));
+}
+
+
+/**
+ * Helper function that calculates the greatest common divisor of two non-negative BigIntegers
+ * using Lehmer's algorithm. While the larger number spans more than two digits, the leading digits
+ * of both numbers are used to simulate several steps of Euclid's algorithm with native Numbers,
+ * which are then applied to the full numbers at once. The remaining small numbers are finished off
+ * with Euclid's algorithm.
+ *
+ * @param {BigInteger} a The first number. Must not be negative.
+ * @param {BigInteger} b The second number. Must not be negative.
+ * @param {Boolean} trackCofactor True if the cofactor of 'a' should be calculated, false
+ *     otherwise. Tracking the cofactor requires the quotient of every step, which is slower.
+ *
+ * @return {Object} An object with the properties 'gcd', the greatest common divisor of 'a' and
+ *     'b', and, if requested, 'cofactor', a BigInteger x such that a * x is congruent to the gcd
+ *     modulo 'b'.
+ */
+function lehmerGcd(a, b, trackCofactor) {
+
+    // Throughout the algorithm, u = s0 * a and v = s1 * a, both modulo b.
+    var u = a, v = b;
+    var s0 = BigInteger.ONE, s1 = BigInteger.ZERO;
+
+    if (u.compare(v) < 0) {
+        u = b;
+        v = a;
+        s0 = BigInteger.ZERO;
+        s1 = BigInteger.ONE;
+    }
+
+    while (u.digits.length > 2 && !v.isZero()) {
+
+        // Take the leading two digits of u and the digits of v in the same positions.
+        var size = u.digits.length;
+        var uHat = u.digits[size - 1] * BigInteger.BASE + u.digits[size - 2];
+        var vHat = (v.digits[size - 1] || 0) * BigInteger.BASE + (v.digits[size - 2] || 0);
+
+        // Simulate Euclid's algorithm on the leading digits for as long as the quotients are
+        // guaranteed to match those of the full numbers.
+        var A = 1, B = 0, C = 0, D = 1;
+        while (vHat + C !== 0 && vHat + D !== 0) {
+            var q = Math.floor((uHat + A) / (vHat + C));
+            if (q !== Math.floor((uHat + B) / (vHat + D)))
+                break;
+
+            var t = A - q * C;
+            A = C;
+            C = t;
+
+            t = B - q * D;
+            B = D;
+            D = t;
+
+            t = uHat - q * vHat;
+            uHat = vHat;
+            vHat = t;
+        }
+
+        // No steps could be simulated, so perform a single full step of Euclid's algorithm.
+        if (B === 0) {
+            if (trackCofactor) {
+                var parts = u.divideAndRemainder(v);
+                var remainder = parts.remainder;
+                var s = s0.subtract(parts.quotient.multiply(s1));
+                s0 = s1;
+                s1 = s;
+            } else
+                var remainder = u.modulo(v);
+            u = v;
+            v = remainder;
+
+        // Apply the simulated steps to the full numbers.
+        } else {
+            var newU = multiplyByNativeNumber(u, A).add(multiplyByNativeNumber(v, B));
+            v = multiplyByNativeNumber(u, C).add(multiplyByNativeNumber(v, D));
+            u = newU;
+
+            if (trackCofactor) {
+                var newS0 = multiplyByNativeNumber(s0, A).add(multiplyByNativeNumber(s1, B));
+                s1 = multiplyByNativeNumber(s0, C).add(multiplyByNativeNumber(s1, D));
+                s0 = newS0;
+            }
+        }
+    }
+
+    // Finish with Euclid's algorithm, which uses native arithmetic once the numbers are small.
+    while (!v.isZero()) {
+        if (trackCofactor) {
+            var parts = u.divideAndRemainder(v);
+            var remainder = parts.remainder;
+            var s = s0.subtract(parts.quotient.multiply(s1));
+            s0 = s1;
+            s1 = s;
+        } else
+            var remainder = u.modulo(v);
+        u = v;
+        v = remainder;
+    }
+
+    return { gcd: u, cofactor: trackCofactor ? s0 : undefined };
+}
+
+
+/**
+ * Calculates the greatest common divisor of this BigInteger and another one. The result is always
+ * non-negative. The greatest common divisor of zero and any number is the absolute value of that
+ * number, so the greatest common divisor of zero and zero is zero.
+ *
+ * @param {BigInteger} other The BigInteger with which the greatest common divisor is calculated.
+ *
+ * @return {BigInteger} The greatest common divisor of this BigInteger and 'other'.
+ */
+BigInteger.prototype.gcd = function(other) {
+    return lehmerGcd(this.abs(), other.abs(), false).gcd;
+}
+
+
+/**
+ * Calculates the greatest common divisor of this BigInteger and another one, along with the
+ * coefficients of Bézout's identity. That is, finds x and y such that this * x + other * y = gcd.
+ * The gcd is always non-negative, and is zero only if both numbers are zero, in which case x and y
+ * are also zero.
+ *
+ * @param {BigInteger} other The BigInteger with which the greatest common divisor is calculated.
+ *
+ * @return {Object} An object with the BigInteger properties 'gcd', 'x' and 'y'.
+ */
+BigInteger.prototype.extendedGcd = function(other) {
+
+    // If other is zero, the gcd is the absolute value of this BigInteger.
+    if (other.isZero()) {
+        if (this.isZero())
+            return { gcd: BigInteger.ZERO, x: BigInteger.ZERO, y: BigInteger.ZERO };
+        return {
+            gcd: this.abs(),
+            x: this.negative ? BigInteger.NEGATIVE_ONE : BigInteger.ONE,
+            y: BigInteger.ZERO
+        };
+    }
+
+    var result = lehmerGcd(this.abs(), other.abs(), true);
+
+    // The cofactor was calculated for the absolute value of this BigInteger.
+    var x = this.negative ? result.cofactor.negate() : result.cofactor;
+
+    // Solve for y, which divides evenly.
+    var y = result.gcd.subtract(this.multiply(x)).divide(other);
+
+    return { gcd: result.gcd, x: x, y: y };
+}
+
+
+/**
+ * Calculates the least common multiple of this BigInteger and another one. The result is always
+ * non-negative, and is zero if either number is zero.
+ *
+ * @param {BigInteger} other The BigInteger with which the least common multiple is calculated.
+ *
+ * @return {BigInteger} The least common multiple of this BigInteger and 'other'.
+ */
+BigInteger.prototype.lcm = function(other) {
+    if (this.isZero() || other.isZero())
+        return BigInteger.ZERO;
+
+    var a = this.abs();
+    var b = other.abs();
+
+    return a.divide(a.gcd(b)).multiply(b);
+}
+
+
+/**
+ * Calculates the modular multiplicative inverse of this BigInteger. That is, finds x such that
+ * this * x is congruent to 1 modulo 'modulus'. Throws a BigIntegerNoInverseError if this BigInteger
+ * and the modulus are not coprime.
+ *
+ * @param {BigInteger} modulus The modulus. Cannot be zero. Only its absolute value is used.
+ *
+ * @return {BigInteger} The inverse, in the range [0, |modulus|).
+ */
+BigInteger.prototype.modInverse = function(modulus) {
+
+    // Throw an exception for a modulus of zero.
+    if (modulus.isZero())
+        throw new BigIntegerDivisionByZeroError(this, modulus);
+
+    var m = modulus.abs();
+    var result = this.extendedGcd(m);
+
+    if (!result.gcd.equals(BigInteger.ONE))
+        throw new BigIntegerNoInverseError(this, modulus);
+
+    // The coefficient may be negative, so move it into the range [0, m).
+    var inverse = result.x.modulo(m);
+    if (result.x.negative && !inverse.isZero())
+        inverse = m.subtract(inverse);
+
+    return inverse;
+}
+
+
+/**
+ * Helper function that checks that a BigInteger is an odd positive number, as required of the
+ * bottom argument of the Jacobi symbol.
+ *
+ * @param {BigInteger} n The BigInteger to check.
+ */
+function checkOddPositive(n) {
+    if (!(n instanceof BigInteger))
+        throw new BigIntegerTypeError('Argument is not a BigInteger.', n);
+    if (n.negative || n.isEven())
+        throw new BigIntegerRangeError('Argument must be odd and positive.', n);
+}
+
+
+/**
+ * Calculates the Jacobi symbol (this / n), which is the product of the Legendre symbols of this
+ * BigInteger over the prime factors of n. It is zero if the two are not coprime. If it is -1, this
+ * BigInteger is not a square modulo n, but if it is 1, it may or may not be one.
+ *
+ * @param {BigInteger} n The bottom argument. Must be odd and positive.
+ *
+ * @return {Number} The Jacobi symbol, which is -1, 0 or 1.
+ */
+BigInteger.prototype.jacobi = function(n) {
+    checkOddPositive(n);
+    return jacobiSymbol(this, n);
+}
+
+
+/**
+ * Calculates the Legendre symbol (this / p), which is 1 if this BigInteger is a non-zero square
+ * modulo the prime p, -1 if it is not a square, and 0 if it is a multiple of p.
+ *
+ * @param {BigInteger} p The bottom argument. Must be an odd prime. Proving that it is prime would
+ *     cost far more than the symbol, so only its parity and sign are checked, and for other odd
+ *     numbers the result is the Jacobi symbol.
+ *
+ * @return {Number} The Legendre symbol, which is -1, 0 or 1.
+ */
+BigInteger.prototype.legendre = function(p) {
+    checkOddPositive(p);
+
+    // For a prime, the Jacobi symbol is the Legendre symbol, and quicker than Euler's criterion.
+    return jacobiSymbol(this, p);
+}
+
+
+/**
+ * Calculates the Kronecker symbol (this / n), which extends the Jacobi symbol to every integer n.
+ * The symbol (a / 2) is 0 for even a, 1 if a is 1 or 7 modulo 8 and -1 if it is 3 or 5 modulo 8.
+ * The symbol (a / -1) is -1 for negative a and 1 otherwise, and (a / 0) is 1 for a = 1 or a = -1
+ * and 0 otherwise.
+ *
+ * @param {BigInteger} n The bottom argument.
+ *
+ * @return {Number} The Kronecker symbol, which is -1, 0 or 1.
+ */
+BigInteger.prototype.kronecker = function(n) {
+    if (!(n instanceof BigInteger))
+        throw new BigIntegerTypeError('Argument is not a BigInteger.', n);
+
+    if (n.isZero())
+        return this.abs().equals(BigInteger.ONE) ? 1 : 0;
+
+    var result = n.negative && this.negative ? -1 : 1;
+    n = n.abs();
+
+    // Take out the factors of two, each of which contributes (a / 2).
+    if (n.isEven()) {
+        if (this.isEven())
+            return 0;
+
+        var residue = this.mod(new BigInteger(8)).toNumber();
+        while (n.isEven()) {
+            n = n.shiftRight(1);
+            if (residue === 3 || residue === 5)
+                result = -result;
+        }
+    }
+
+    return result * jacobiSymbol(this, n);
+}
+
+
+// The number of candidates tried in the search for a non-residue before the modulus is checked for
+// being a square, which has no non-residues at all. Modulo a prime, this many are almost never
+// needed.
+var NON_RESIDUE_SEARCH_LIMIT = 100;
+
+
+/**
+ * Helper function that checks a candidate which was not a non-residue during the search for one.
+ * The modulus is not proven to be prime, so the search could otherwise run forever when it is not.
+ * Throws a BigIntegerRangeError if the candidate shares a factor with the modulus, which cannot
+ * happen for a prime, or if the search is long and the modulus turns out to be a square.
+ *
+ * @param {BigInteger} candidate The candidate, which is not zero modulo the modulus.
+ * @param {BigInteger} p The modulus, which should be an odd prime.
+ * @param {Number} tries The number of candidates tried so far.
+ */
+function checkNonResidueSearch(candidate, p, tries) {
+    if (jacobiSymbol(candidate, p) === 0
+            || (tries === NON_RESIDUE_SEARCH_LIMIT && p.isPerfectSquare()))
+        throw new BigIntegerRangeError('Modulus must be prime.', p);
+}
+
+
+/**
+ * Helper function that finds a square root of a quadratic residue modulo an odd prime with the
+ * Tonelli-Shanks algorithm. Writing p - 1 = q * 2 ^ s with q odd, the estimate a ^ ((q + 1) / 2)
+ * is corrected by powers of a non-residue until its square is a. It takes about s ^ 2 / 4
+ * multiplications on top of two exponentiations, which is fast unless s is large.
+ *
+ * @param {BigInteger} a The quadratic residue, in the range [1, p).
+ * @param {BigInteger} p The odd prime.
+ * @param {BigInteger} q The odd part of p - 1.
+ * @param {Number} s The exponent of the power of two in p - 1.
+ *
+ * @return {BigInteger} A square root of 'a' modulo 'p'.
+ */
+function tonelliShanks(a, p, q, s) {
+
+    // Find a non-residue, half of all numbers being one.
+    var z = BigInteger.TWO;
+    for (var tries = 1; jacobiSymbol(z, p) !== -1; tries++) {
+        checkNonResidueSearch(z, p, tries);
+        z = z.add(BigInteger.ONE);
+    }
+
+    var c = z.modPow(q, p);
+    var root = a.modPow(q.add(BigInteger.ONE).shiftRight(1), p);
+    var t = a.modPow(q, p);
+    var m = s;
+
+    // The square of the root is a * t, where t has an order of 2 ^ i with i < m.
+    while (!t.equals(BigInteger.ONE)) {
+        var i = 0;
+        for (var square = t; !square.equals(BigInteger.ONE); i++) {
+            if (i === m)
+                throw new BigIntegerRangeError('Modulus must be prime.', p);
+            square = square.square().modulo(p);
+        }
+
+        var b = c;
+        for (var j = 0; j < m - i - 1; j++)
+            b = b.square().modulo(p);
+
+        root = root.multiply(b).modulo(p);
+        c = b.square().modulo(p);
+        t = t.multiply(c).modulo(p);
+        m = i;
+    }
+    return root;
+}
+
+
+/**
+ * Helper function that finds a square root of a quadratic residue modulo an odd prime with
+ * Cipolla's algorithm. With t such that w = t ^ 2 - a is a non-residue, the root is
+ * (t + sqrt(w)) ^ ((p + 1) / 2) in the field extended by sqrt(w). It takes a fixed number of
+ * multiplications for each bit of p.
+ *
+ * @param {BigInteger} a The quadratic residue, in the range [1, p).
+ * @param {BigInteger} p The odd prime.
+ *
+ * @return {BigInteger} A square root of 'a' modulo 'p'.
+ */
+function cipolla(a, p) {
+    var t = BigInteger.ONE;
+    var w = t.square().subtract(a).mod(p);
+    for (var tries = 1; jacobiSymbol(w, p) !== -1; tries++) {
+
+        // The search may stumble on a root.
+        if (w.isZero())
+            return t;
+
+        checkNonResidueSearch(w, p, tries);
+        t = t.add(BigInteger.ONE);
+        w = t.square().subtract(a).mod(p);
+    }
+
+    /**
+     * Multiplies two elements x + y * sqrt(w) of the extended field.
+     *
+     * @param {Object} first The first element, with the BigInteger properties 'x' and 'y'.
+     * @param {Object} second The second element.
+     *
+     * @return {Object} The product.
+     */
+    var multiply = function(first, second) {
+        return {
+            x: first.x.multiply(second.x).add(first.y.multiply(second.y).modulo(p).multiply(w))
+                .modulo(p),
+            y: first.x.multiply(second.y).add(first.y.multiply(second.x)).modulo(p)
+        };
+    }
+
+    var exponent = p.add(BigInteger.ONE).shiftRight(1);
+    var base = { x: t, y: BigInteger.ONE };
+    var result = { x: BigInteger.ONE, y: BigInteger.ZERO };
+    for (var i = exponent.bitLength() - 1; i >= 0; i--) {
+        result = multiply(result, result);
+        if (exponent.testBit(i))
+            result = multiply(result, base);
+    }
+    return result.x;
+}
+
+
+/**
+ * Finds a square root of this BigInteger modulo a prime. Throws a BigIntegerNoSquareRootError if
+ * there is none, that is, if this BigInteger is not a quadratic residue. The other root is the
+ * prime minus this one.
+ *
+ * @param {BigInteger} p The modulus. Must be prime. Proving that it is prime would cost far more
+ *     than the root, so this is not checked. A modulus that is not prime may throw a
+ *     BigIntegerRangeError, but any result is still a number whose square is this BigInteger
+ *     modulo 'p'.
+ *
+ * @return {BigInteger} The square root in the range [0, p / 2], so that it is the smaller of the
+ *     two roots.
+ */
+BigInteger.prototype.modSqrt = function(p) {
+    if (!(p instanceof BigInteger))
+        throw new BigIntegerTypeError('Argument is not a BigInteger.', p);
+    if (p.compare(BigInteger.TWO) < 0 || (p.isEven() && !p.equals(BigInteger.TWO)))
+        throw new BigIntegerRangeError('Modulus must be prime.', p);
+
+    var a = this.mod(p);
+    if (a.isZero() || p.equals(BigInteger.TWO))
+        return a;
+
+    var symbol = jacobiSymbol(a, p);
+    if (symbol === 0)
+        throw new BigIntegerRangeError('Modulus must be prime.', p);
+    if (symbol !== 1)
+        throw new BigIntegerNoSquareRootError(this, p);
+
+    var q = p.subtract(BigInteger.ONE);
+    var s = 0;
+    while (q.isEven()) {
+        q = q.shiftRight(1);
+        s++;
+    }
+
+    // For a prime that is 3 modulo 4, a ^ ((p + 1) / 4) is a root. Otherwise, Tonelli-Shanks is
+    // quicker unless p - 1 has a large power of two, which makes its corrections slow.
+    var root;
+    if (s === 1)
+        root = a.modPow(p.add(BigInteger.ONE).shiftRight(2), p);
+    else if (s * s < 8 * p.bitLength())
+        root = tonelliShanks(a, p, q, s);
+    else
+        root = cipolla(a, p);
+
+    // A modulus that is not prime can give a wrong root, which is cheap to catch.
+    if (!root.square().mod(p).equals(a))
+        throw new BigIntegerRangeError('Modulus must be prime.', p);
+
+    var other = p.subtract(root);
+    return other.compare(root) < 0 ? other : root;
+}
+
+
+/**
+ * Helper function that solves a system of congruences with pairwise coprime moduli with Garner's
+ * algorithm. The solution is built as a mixed-radix number v[0] + v[1] * m[0] + v[2] * m[0] * m[1]
+ * + ..., whose digit v[i] is found modulo m[i] alone, so the arithmetic is done on numbers no
+ * larger than the moduli.
+ *
+ * @param {Array} residues The residues, as BigIntegers in the range [0, m[i]).
+ * @param {Array} moduli The positive moduli, as BigIntegers.
+ *
+ * @return {BigInteger} The solution in the range [0, m[0] * m[1] * ...), or null if the moduli are
+ *     not pairwise coprime.
+ */
+function garner(residues, moduli) {
+    var digits = [];
+
+    for (var i = 0; i < moduli.length; i++) {
+        var modulus = moduli[i];
+
+        // Evaluate the digits found so far, and the product of their radices, modulo this modulus.
+        var value = BigInteger.ZERO;
+        var product = BigInteger.ONE;
+        for (var j = 0; j < i; j++) {
+            value = value.add(digits[j].multiply(product)).modulo(modulus);
+            product = product.multiply(moduli[j]).modulo(modulus);
+        }
+
+        if (!product.gcd(modulus).equals(BigInteger.ONE))
+            return null;
+
+        digits.push(residues[i].subtract(value).multiply(product.modInverse(modulus)).mod(modulus));
+    }
+
+    var result = BigInteger.ZERO;
+    for (var i = digits.length - 1; i >= 0; i--)
+        result = result.multiply(moduli[i]).add(digits[i]);
+    return result;
+}
+
+
+/**
+ * Solves a system of congruences x = residues[i] (mod moduli[i]) with the Chinese remainder
+ * theorem. Pairwise coprime moduli are solved with Garner's algorithm. Otherwise, the congruences
+ * are merged one at a time, which is possible whenever the residues of two congruences agree
+ * modulo the gcd of their moduli. Throws a BigIntegerNoSolutionError if the system has no
+ * solution.
+ *
+ * @param {Array} residues The residues, as BigIntegers.
+ * @param {Array} moduli The moduli, as positive BigIntegers. Must have as many elements as
+ *     'residues'.
+ *
+ * @return {Object} An object with the BigInteger property 'modulus', the least common multiple of
+ *     the moduli, and the BigInteger property 'value', the solution in the range [0, modulus).
+ *     Every solution is equal to it modulo the modulus.
+ */
+BigInteger.crt = function(residues, moduli) {
+    if (!Array.isArray(residues) || !Array.isArray(moduli))
+        throw new BigIntegerTypeError('Residues and moduli must be arrays.', residues);
+    if (residues.length !== moduli.length)
+        throw new BigIntegerRangeError('There must be as many residues as moduli.', residues);
+
+    for (var i = 0; i < moduli.length; i++) {
+        if (!(residues[i] instanceof BigInteger))
+            throw new BigIntegerTypeError('Residue is not a BigInteger.', residues[i]);
+        if (!(moduli[i] instanceof BigInteger))
+            throw new BigIntegerTypeError('Modulus is not a BigInteger.', moduli[i]);
+        if (moduli[i].negative || moduli[i].isZero())
+            throw new BigIntegerRangeError('Moduli must be positive.', moduli[i]);
+    }
+
+    var reduced = residues.map(function(residue, i) {
+        return residue.mod(moduli[i]);
+    });
+
+    var value = garner(reduced, moduli);
+    if (value !== null) {
+        var modulus = moduli.reduce(function(product, m) {
+            return product.multiply(m);
+        }, BigInteger.ONE);
+        return { value: value, modulus: modulus };
+    }
+
+    // Merge x = value (mod modulus) with x = a (mod m). Writing x = value + modulus * k, this
+    // needs modulus * k = a - value (mod m), which can be divided through by their gcd g if it
+    // divides a - value.
+    value = BigInteger.ZERO;
+    modulus = BigInteger.ONE;
+    for (var i = 0; i < moduli.length; i++) {
+        var m = moduli[i];
+        var g = modulus.gcd(m);
+        var parts = reduced[i].subtract(value).divideAndRemainder(g);
+        if (!parts.remainder.isZero())
+            throw new BigIntegerNoSolutionError(residues, moduli);
+
+        var reducedModulus = m.divide(g);
+        var k = parts.quotient.multiply(modulus.divide(g).modInverse(reducedModulus))
+            .mod(reducedModulus);
+        value = value.add(modulus.multiply(k));
+        modulus = modulus.multiply(reducedModulus);
+    }
+    return { value: value, modulus: modulus };
+}
+
+
+/**
+ * Helper function that calculates the Jacobi symbol (a / n) with the binary algorithm, which uses
+ * quadratic reciprocity to swap the arguments and removes factors of two from the top argument.
+ *
+ * @param {BigInteger} a The top argument.
+ * @param {BigInteger} n The bottom argument. Must be odd and positive.
+ *
+ * @return {Number} The Jacobi symbol, which is -1, 0 or 1.
+ */
+function jacobiSymbol(a, n) {
+    var result = 1;
+    a = a.mod(n);
+
+    while (!a.isZero()) {
+
+        // (2 / n) is -1 if n is 3 or 5 modulo 8.
+        while (a.isEven()) {
+            a = a.shiftRight(1);
+            var residue = n.digits[0] & 7;
+            if (residue === 3 || residue === 5)
+                result = -result;
+        }
+
+        // Swap the arguments, which flips the sign if both are 3 modulo 4.
+        var temp = a;
+        a = n;
+        n = temp;
+        if ((a.digits[0] & 3) === 3 && (n.digits[0] & 3) === 3)
+            result = -result;
+
+        a = a.mod(n);
+    }
+
+    return n.equals(BigInteger.ONE) ? result : 0;
+}
+
+
+/**
+ * Helper function that calculates the square root of a non-negative BigInteger, rounded down, with
+ * Newton's method. The first estimate is a power of two that is at least the square root, so the
+ * estimates decrease until they reach it.
+ *
+ * @param {BigInteger} number The BigInteger. Must not be negative.
+ *
+ * @return {BigInteger} The largest BigInteger whose square is not greater than 'number'.
+ */
+function integerSquareRoot(number) {
+    if (number.isZero())
+        return BigInteger.ZERO;
+
+    var estimate = BigInteger.ONE.shiftLeft(Math.ceil(number.bitLength() / 2));
+    while (true) {
+        var next = estimate.add(number.divide(estimate)).shiftRight(1);
+        if (next.compare(estimate) >= 0)
+            return estimate;
+        estimate = next;
+    }
+}
+
+
+/**
+ * Helper function that calculates an integer root of a non-negative BigInteger, rounded down, with
+ * Newton's method. As for square roots, the first estimate is a power of two that is at least the
+ * root, so the estimates decrease until they reach it.
+ *
+ * @param {BigInteger} number The BigInteger. Must not be negative.
+ * @param {Number} degree The degree of the root. Must be a positive integer.
+ *
+ * @return {BigInteger} The largest BigInteger whose power of 'degree' is not greater than 'number'.
+ */
+function integerRoot(number, degree) {
+    if (number.isZero() || degree === 1)
+        return number;
+
+    var bigDegree = new BigInteger(degree);
+    var bigDegreeSub1 = new BigInteger(degree - 1);
+    var estimate = BigInteger.ONE.shiftLeft(Math.ceil(number.bitLength() / degree));
+    while (true) {
+        var next = estimate.multiply(bigDegreeSub1).add(number.divide(estimate.pow(degree - 1)))
+            .divide(bigDegree);
+        if (next.compare(estimate) >= 0)
+            return estimate;
+        estimate = next;
+    }
+}
+
+
+/**
+ * Helper function that checks if a BigInteger is a perfect power, that is, a power of another
+ * BigInteger with an exponent of at least two.
+ *
+ * @param {BigInteger} number The BigInteger. Must be greater than one.
+ *
+ * @return {Object} An object with the BigInteger property 'base' and the Number property
+ *     'exponent', such that base ^ exponent = number, for the largest exponent. The exponent is
+ *     one if the number is not a perfect power.
+ */
+function perfectPower(number) {
+    var bits = number.bitLength();
+
+    // It is enough to try prime exponents, as a root of a root is a root of the product of
+    // their degrees.
+    var exponents = primesUpTo(bits);
+    for (var i = 0; i < exponents.length; i++) {
+        var root = integerRoot(number, exponents[i]);
+        if (root.pow(exponents[i]).equals(number)) {
+            var power = perfectPower(root);
+            return { base: power.base, exponent: power.exponent * exponents[i] };
+        }
+    }
+    return { base: number, exponent: 1 };
+}
+
+
+/**
+ * Helper function that runs the strong probable prime test, a single round of the Miller-Rabin
+ * test, on an odd number n > 3. Writing n - 1 = d * 2 ^ s with d odd, n passes if a ^ d = 1 or
+ * a ^ (d * 2 ^ r) = -1 modulo n for some 0 <= r < s. Every prime passes, and a composite passes
+ * for at most a quarter of the bases.
+ *
+ * @param {BigInteger} n The number to test.
+ * @param {BigInteger} base The base a, in the range [2, n - 2].
+ * @param {BigInteger} d The odd part of n - 1.
+ * @param {Number} s The exponent of the power of two in n - 1.
+ *
+ * @return {Boolean} True if n is a strong probable prime to the base, false if it is composite.
+ */
+function isStrongProbablePrime(n, base, d, s) {
+    var nSub1 = n.subtract(BigInteger.ONE);
+    var x = base.modPow(d, n);
+
+    if (x.equals(BigInteger.ONE) || x.equals(nSub1))
+        return true;
+
+    for (var i = 0; i < s - 1; i++) {
+        x = x.square().modulo(n);
+
+        if (x.equals(nSub1))
+            return true;
+
+        // Once the square is one, it can never become -1.
+        if (x.equals(BigInteger.ONE))
+            return false;
+    }
+
+    return false;
+}
+
+
+/**
+ * Helper function that runs the strong Lucas probable prime test on an odd number n > 5 that is not
+ * a perfect square, with the parameters chosen by Selfridge's method A: D is the first of 5, -7,
+ * 9, -11, ... for which the Jacobi symbol (D / n) is -1, P = 1 and Q = (1 - D) / 4. Writing n + 1 =
+ * d * 2 ^ s with d odd, n passes if U(d) = 0 or V(d * 2 ^ r) = 0 modulo n for some 0 <= r < s,
+ * where U and V are the Lucas sequences for P and Q.
+ *
+ * @param {BigInteger} n The number to test.
+ *
+ * @return {Boolean} True if n is a strong Lucas probable prime, false if it is composite.
+ */
+function isStrongLucasProbablePrime(n) {
+
+    // Find D. A perfect square would have no D with a symbol of -1, so check for one after a few
+    // attempts, when it has become likely that n is a square.
+    var D = 5;
+    while (true) {
+        var symbol = jacobiSymbol(new BigInteger(D), n);
+        if (symbol === -1)
+            break;
+
+        // n shares a factor with D.
+        if (symbol === 0 && n.abs().compare(new BigInteger(Math.abs(D))) !== 0)
+            return false;
+
+        if (D === 13) {
+            var root = integerSquareRoot(n);
+            if (root.square().equals(n))
+                return false;
+        }
+
+        D = D > 0 ? -D - 2 : -D + 2;
+    }
+
+    var bigD = new BigInteger(D);
+    var Q = new BigInteger((1 - D) / 4);
+
+    // Factor out the power of two from n + 1.
+    var d = n.add(BigInteger.ONE);
+    var s = 0;
+    while (d.isEven()) {
+        d = d.shiftRight(1);
+        s++;
+    }
+
+    /**
+     * Halves a number modulo n, which is odd.
+     *
+     * @param {BigInteger} value The number, in the range [0, n).
+     *
+     * @return {BigInteger} The number x in [0, n) such that 2 * x = value modulo n.
+     */
+    var half = function(value) {
+        return (value.isEven() ? value : value.add(n)).shiftRight(1);
+    }
+
+    // Calculate U(d), V(d) and Q ^ d from the bits of d, starting after the most significant bit
+    // with U(1) = 1 and V(1) = P = 1. Each bit doubles the index, and a set bit then adds one.
+    var U = BigInteger.ONE;
+    var V = BigInteger.ONE;
+    var Qk = Q.mod(n);
+    for (var i = d.bitLength() - 2; i >= 0; i--) {
+        U = U.multiply(V).mod(n);
+        V = V.square().subtract(Qk.shiftLeft(1)).mod(n);
+        Qk = Qk.square().mod(n);
+
+        if (d.testBit(i)) {
+            var nextU = half(U.add(V).mod(n));
+            V = half(bigD.multiply(U).add(V).mod(n));
+            U = nextU;
+            Qk = Qk.multiply(Q).mod(n);
+        }
+    }
+
+    if (U.isZero() || V.isZero())
+        return true;
+
+    // Double the index, using V(2k) = V(k) ^ 2 - 2 * Q ^ k.
+    for (var r = 1; r < s; r++) {
+        V = V.square().subtract(Qk.shiftLeft(1)).mod(n);
+        if (V.isZero())
+            return true;
+        Qk = Qk.square().mod(n);
+    }
+
+    return false;
+}
+
+
+/**
+ * Helper function that finds the primes up to a limit with the sieve of Eratosthenes.
+ *
+ * @param {Number} limit The largest number that is checked.
+ *
+ * @return {Array} The primes up to 'limit', as Numbers in increasing order.
+ */
+function primesUpTo(limit) {
+    var composite = new Array(limit + 1);
+    var primes = [];
+
+    for (var i = 2; i <= limit; i++) {
+        if (composite[i])
+            continue;
+
+        primes.push(i);
+        for (var j = i * i; j <= limit; j += i)
+            composite[j] = true;
+    }
+    return primes;
+}
+
+
+// The primes used for trial division, and to sieve candidates when searching for a prime.
+var SMALL_PRIMES = primesUpTo(2000);
+var LARGEST_SMALL_PRIME = new BigInteger(SMALL_PRIMES[SMALL_PRIMES.length - 1]);
+
+
+// Numbers below this limit are tested for primality with a fixed set of Miller-Rabin witnesses,
+// which is known to give the exact answer. These are the primes up to 41, which suffice for numbers
+// below 3,317,044,064,679,887,385,961,981 (Sorenson and Webster, 2015).
+BigInteger.DETERMINISTIC_PRIMALITY_LIMIT = new BigInteger('3317044064679887385961981');
+var DETERMINISTIC_WITNESSES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41];
+
+
+/**
+ * Checks if this BigInteger is prime. Numbers below BigInteger.DETERMINISTIC_PRIMALITY_LIMIT,
+ * which includes every 64-bit number, are tested with a set of Miller-Rabin witnesses that is
+ * known to give the exact answer. Larger numbers are tested with the Baillie-PSW test, which is a
+ * strong probable prime test to base 2 followed by a strong Lucas probable prime test. No
+ * composite number is known to pass it, although it has not been proven that none exists.
+ * Additional rounds of the Miller-Rabin test with random witnesses can be requested for even more
+ * certainty. True is always returned for primes.
+ *
+ * @param {Number or Object} options Optional. Either the number of additional witness loops, or an
+ *     object with any of the following properties:
+ *     'primalityCertainty': The number of additional Miller-Rabin rounds is chosen so that the
+ *         chance of a composite number passing all of them is at most 2 ^ -primalityCertainty,
+ *         independently of the Baillie-PSW test. Defaults to 0.
+ *     'witnessLoops': The number of additional Miller-Rabin rounds, if more are required than
+ *         for the certainty. Defaults to 0.
+ *     'rng': A source of random numbers for the witnesses, as passed to BigInteger.random.
+ * @param {Function} rng Optional. A function that returns a uniformly distributed random integer
+ *     in the range [0, 2 ^ 32), used to choose the witnesses. Defaults to the source set by
+ *     setRandomSource.
+ *
+ * @return {Boolean} True if the number is prime, false otherwise.
+ */
+BigInteger.prototype.isPrime = function(options, rng) {
+    var witnessLoops = options;
+    var certainty = 0;
+
+    if (typeof options === 'object' && options !== null) {
+        witnessLoops = options.witnessLoops;
+        if (options.rng !== undefined)
+            rng = options.rng;
+
+        if (options.primalityCertainty !== undefined) {
+            certainty = options.primalityCertainty;
+            if (typeof(certainty) !== 'number' || !(certainty >= 0))
+                throw new BigIntegerRangeError('Primality certainty must be a non-negative number.',
+                    certainty);
+        }
+    }
+
+    // Check for an incorrect parameter.
+    if (witnessLoops != undefined && (witnessLoops === null || typeof(witnessLoops) != "number"
+            || witnessLoops < 1))
+        throw new BigIntegerRangeError('Number of witness loops must be a positive integer.',
+            witnessLoops);
+
+    // Each round of the Miller-Rabin test passes a composite number with a chance of at most 1/4.
+    var rounds = Math.max(witnessLoops || 0, Math.ceil(certainty / 2));
+
+    // Return false for any value equal to or below 1.
+    if (this.compare(BigInteger.ONE) <= 0)
+        return false;
+
+    // Trial division by the small primes rejects most composite numbers before any of the slower
+    // tests. A number without a factor up to its square root is prime.
+    var value = this.digits.length === 1 ? this.digits[0] : Infinity;
+    for (var i = 0; i < SMALL_PRIMES.length; i++) {
+        if (SMALL_PRIMES[i] * SMALL_PRIMES[i] > value)
+            return true;
+        if (remainderDigitsByNativeNumber(this.digits, SMALL_PRIMES[i]) === 0)
+            return false;
+    }
+
+    var nSub1 = this.subtract(BigInteger.ONE);
+
+    // Factor out power of two from the number.
+    var count = lowestSetBit(nSub1.digits);
+    var d = nSub1.shiftRight(count);
+
+    if (this.compare(BigInteger.DETERMINISTIC_PRIMALITY_LIMIT) < 0) {
+        for (var i = 0; i < DETERMINISTIC_WITNESSES.length; i++) {
+            var witness = new BigInteger(DETERMINISTIC_WITNESSES[i]);
+            if (!isStrongProbablePrime(this, witness, d, count))
+                return false;
+        }
+        return true;
+    }
+
+    if (!isStrongProbablePrime(this, BigInteger.TWO, d, count) || !isStrongLucasProbablePrime(this))
+        return false;
+
+    for (var i = 0; i < rounds; i++) {
+
+        // Random integer in [2, n - 2].
+        var a = BigInteger.randomInRange(BigInteger.TWO, this.subtract(BigInteger.TWO), rng);
+
+        if (!isStrongProbablePrime(this, a, d, count))
+            return false;
+    }
+
+    return true;
+}
+
+
+// The number of candidates that are sieved at once when searching for a prime.
+var PRIME_SIEVE_WINDOW = 512;
+
+
+/**
+ * Helper function that sieves a window of candidates start, start + step, start + 2 * step, ...
+ * by crossing out those that are a multiple of a small odd prime. When searching for safe primes,
+ * the candidates p for which (p - 1) / 2 is a multiple of a small odd prime are crossed out too,
+ * which are those where p is one modulo the small prime.
+ *
+ * @param {BigInteger} start The first candidate. Every candidate must be greater than every small
+ *     prime so that none of them is crossed out, and when searching for safe primes, greater than
+ *     2q + 1 for every small prime q, so that no safe prime 2q + 1 is crossed out.
+ * @param {Number} step The difference between consecutive candidates, which may be negative.
+ * @param {Boolean} safe Whether to cross out the candidates that cannot be safe primes.
+ *
+ * @return {Array} An array of PRIME_SIEVE_WINDOW Booleans, which are true for the candidates that
+ *     were crossed out.
+ */
+function sievePrimeCandidates(start, step, safe) {
+    var composite = new Array(PRIME_SIEVE_WINDOW);
+
+    // Two is skipped, as the step keeps the parity of the candidates.
+    for (var i = 1; i < SMALL_PRIMES.length; i++) {
+        var prime = SMALL_PRIMES[i];
+        var residue = remainderDigitsByNativeNumber(start.digits, prime);
+        var stepResidue = (step % prime + prime) % prime;
+
+        for (var j = 0; j < PRIME_SIEVE_WINDOW; j++) {
+            if (residue === 0 || (safe && residue === 1))
+                composite[j] = true;
+
+            residue += stepResidue;
+            if (residue >= prime)
+                residue -= prime;
+        }
+    }
+    return composite;
+}
+
+
+/**
+ * Helper function that checks if a number is prime or, when searching for safe primes, a safe
+ * prime. A safe prime p is a prime for which (p - 1) / 2 is prime too.
+ *
+ * @param {BigInteger} candidate The number to check.
+ * @param {Boolean} safe Whether the number must be a safe prime.
+ * @param {Number or Object} options The options passed to isPrime.
+ *
+ * @return {Boolean} True if the number is a prime or safe prime, false otherwise.
+ */
+function isPrimeCandidate(candidate, safe, options) {
+    if (safe && !candidate.shiftRight(1).isPrime(options))
+        return false;
+    return candidate.isPrime(options);
+}
+
+
+/**
+ * Helper function that searches the numbers start, start + step, start + 2 * step, ... for the
+ * first prime or safe prime. Windows of candidates are sieved before the remaining candidates are
+ * tested, so that the full primality test runs on few of them.
+ *
+ * @param {BigInteger} start The first candidate, which must not be even unless it is two.
+ * @param {Number} step The difference between consecutive candidates, which may be negative. The
+ *     search must reach a prime before the candidates drop below two.
+ * @param {Boolean} safe Whether to search for a safe prime.
+ * @param {Number or Object} options The options passed to isPrime.
+ *
+ * @return {BigInteger} The first prime or safe prime that was found.
+ */
+function findPrime(start, step, safe, options) {
+    var windowStep = new BigInteger(step * PRIME_SIEVE_WINDOW);
+    var bigStep = new BigInteger(step);
+
+    // The sieve would cross out the small primes, and the safe primes that are twice a small prime
+    // plus one, so candidates up to these are tested one at a time.
+    var sieveLimit = safe ? LARGEST_SMALL_PRIME.shiftLeft(1).add(BigInteger.ONE)
+        : LARGEST_SMALL_PRIME;
+
+    while (true) {
+        var last = start.add(new BigInteger(step * (PRIME_SIEVE_WINDOW - 1)));
+        if (start.compare(sieveLimit) <= 0 || last.compare(sieveLimit) <= 0) {
+            if (isPrimeCandidate(start, safe, options))
+                return start;
+            start = start.add(bigStep);
+            continue;
+        }
+
+        var composite = sievePrimeCandidates(start, step, safe);
+        for (var i = 0; i < PRIME_SIEVE_WINDOW; i++) {
+            if (composite[i])
+                continue;
+
+            var candidate = start.add(new BigInteger(step * i));
+            if (isPrimeCandidate(candidate, safe, options))
+                return candidate;
+        }
+
+        start = start.add(windowStep);
+    }
+}
+
+
+/**
+ * Finds the smallest prime that is greater than this BigInteger.
+ *
+ * @param {Number or Object} options Optional. The options passed to isPrime to test candidates.
+ *
+ * @return {BigInteger} The next prime.
+ */
+BigInteger.prototype.nextProbablePrime = function(options) {
+    if (this.compare(BigInteger.TWO) < 0)
+        return BigInteger.TWO;
+
+    // Only odd numbers are candidates.
+    var start = this.add(this.isEven() ? BigInteger.ONE : BigInteger.TWO);
+    return findPrime(start, 2, false, options);
+}
+
+
+/**
+ * Finds the largest prime that is less than this BigInteger.
+ *
+ * @param {Number or Object} options Optional. The options passed to isPrime to test candidates.
+ *
+ * @return {BigInteger} The previous prime.
+ */
+BigInteger.prototype.previousProbablePrime = function(options) {
+    if (this.compare(BigInteger.TWO) <= 0)
+        throw new BigIntegerRangeError('There is no prime less than the number.', this);
+    if (this.equals(BigInteger.THREE))
+        return BigInteger.TWO;
+
+    // Only odd numbers are candidates, and three is the last of them.
+    var start = this.subtract(this.isEven() ? BigInteger.ONE : BigInteger.TWO);
+    return findPrime(start, -2, false, options);
+}
+
+
+/**
+ * Generates a random prime with a number of bits, that is in the range [2 ^ (bits - 1), 2 ^ bits).
+ * The search for a prime starts at a uniformly distributed random number in this range, so primes
+ * which follow a long gap between primes are somewhat more likely to be generated than others.
+ *
+ * @param {Number} bits The number of bits. Must be an integer of at least 2, or 3 for safe primes.
+ * @param {Object} options Optional. An object with any of the following properties, which is also
+ *     passed to isPrime to test candidates:
+ *     'safe': Whether to generate a safe prime, which is a prime p for which (p - 1) / 2 is prime
+ *         too. Defaults to false.
+ *     'rng': A function that returns a uniformly distributed random integer in the range
+ *         [0, 2 ^ 32). Defaults to the source set by setRandomSource.
+ *
+ * @return {BigInteger} A random prime with the number of bits.
+ */
+BigInteger.randomPrime = function(bits, options) {
+    options = options || {};
+    var safe = Boolean(options.safe);
+
+    if (typeof(bits) !== 'number')
+        throw new BigIntegerTypeError('Number of bits is not a number.', bits);
+    if (bits < (safe ? 3 : 2) || bits !== Math.floor(bits) || bits === Infinity)
+        throw new BigIntegerRangeError('Number of bits is too small or not an integer.', bits);
+
+    var rng = randomSource(options.rng);
+    var topBit = BigInteger.ONE.shiftLeft(bits - 1);
+
+    while (true) {
+        var start = BigInteger.randomBits(bits - 1, rng).add(topBit);
+
+        // Every safe prime other than five is three modulo four, as (p - 1) / 2 is odd. Five is
+        // the only one with three bits besides seven, so those are searched for among odd numbers.
+        // Other primes only need to be odd, apart from two.
+        var prime;
+        if (safe && bits === 3)
+            prime = findPrime(start.or(BigInteger.ONE), 2, true, options);
+        else if (safe)
+            prime = findPrime(start.or(BigInteger.THREE), 4, true, options);
+        else
+            prime = start.subtract(BigInteger.ONE).nextProbablePrime(options);
+
+        // Start again if the search went past the largest number with the number of bits.
+        if (prime.bitLength() === bits)
+            return prime;
+    }
+}
+
+
+// The default effort budgets of factor.
+var DEFAULT_FACTOR_BUDGETS = {
+    trialDivisionLimit: 2000,
+    rhoIterations: 100000,
+    ecmCurves: 25,
+    ecmBound: 2000
+};
+
+// The largest trial division limit and ECM bound of factor, which are sieved for primes. It keeps
+// the sieve to about a million entries.
+var MAX_FACTOR_SIEVE_LIMIT = 1048576;
+
+
+/**
+ * Helper function that divides a number by every prime up to a limit as often as possible.
+ *
+ * @param {BigInteger} number The positive number to divide.
+ * @param {Number} limit The largest prime to divide by.
+ * @param {Array} primes The array to which each prime factor that is found is added, once for
+ *     every time it divides the number.
+ *
+ * @return {BigInteger} The part of the number left over, which has no prime factors up to the
+ *     limit.
+ */
+function trialDivide(number, limit, primes) {
+    var divisors = LARGEST_SMALL_PRIME.compare(new BigInteger(limit)) >= 0 ? SMALL_PRIMES
+        : primesUpTo(limit);
+
+    for (var i = 0; i < divisors.length && divisors[i] <= limit; i++) {
+        var divisor = divisors[i];
+        while (remainderDigitsByNativeNumber(number.digits, divisor) === 0) {
+            number = new BigInteger(divideDigitsByNativeNumber(number.digits, divisor).quotient,
+                false);
+            primes.push(new BigInteger(divisor));
+        }
+
+        // What is left is prime once it has no factor up to its square root.
+        if (number.digits.length === 1 && divisor * divisor > number.digits[0]) {
+            if (number.digits[0] > 1)
+                primes.push(number);
+            return BigInteger.ONE;
+        }
+    }
+    return number;
+}
+
+
+/**
+ * Helper function that searches for a factor of a composite number with Brent's variant of
+ * Pollard's rho algorithm. The sequence y, f(y), f(f(y)), ... with f(y) = y ^ 2 + c modulo the
+ * number eventually repeats modulo each of its prime factors p, after about sqrt(p) steps. Brent's
+ * variant finds the repetition by comparing each value with the last one at a power-of-two step,
+ * and accumulates the differences in a product so that a gcd is only needed every so often.
+ *
+ * @param {BigInteger} n The odd composite number to factor.
+ * @param {Object} budget The remaining budgets. Each step of a sequence uses one of its
+ *     'rhoIterations'.
+ * @param {Function} rng The source of random numbers used to choose sequences.
+ *
+ * @return {BigInteger} A non-trivial factor of the number, or null if the budget ran out.
+ */
+function pollardBrentRho(n, budget, rng) {
+    var m = 128;
+
+    while (budget.rhoIterations > 0) {
+        var c = BigInteger.randomInRange(BigInteger.ONE, n.subtract(BigInteger.THREE), rng);
+        var y = BigInteger.random(n, rng);
+        var x = y, ys = y;
+        var q = BigInteger.ONE;
+        var g = BigInteger.ONE;
+
+        var f = function(value) {
+            budget.rhoIterations--;
+            return value.square().add(c).modulo(n);
+        }
+
+        for (var r = 1; g.equals(BigInteger.ONE); r *= 2) {
+            x = y;
+            for (var i = 0; i < r && budget.rhoIterations > 0; i++)
+                y = f(y);
+
+            for (var k = 0; k < r && g.equals(BigInteger.ONE); k += m) {
+                if (budget.rhoIterations <= 0)
+                    return null;
+
+                ys = y;
+                for (var i = 0; i < Math.min(m, r - k); i++) {
+                    y = f(y);
+                    q = q.multiply(x.subtract(y).abs()).modulo(n);
+                }
+                g = q.gcd(n);
+            }
+        }
+
+        // The product became a multiple of the number, so step through the differences one at a
+        // time to find the first that shares a factor with it.
+        if (g.equals(n)) {
+            do {
+                ys = f(ys);
+                g = x.subtract(ys).abs().gcd(n);
+            } while (g.equals(BigInteger.ONE));
+        }
+
+        // Every prime factor repeated at the same time, so try another sequence.
+        if (!g.equals(n))
+            return g;
+    }
+    return null;
+}
+
+
+/**
+ * Helper function that doubles a point on a Montgomery curve, given in projective (X : Z)
+ * coordinates without the Y coordinate.
+ *
+ * @param {Object} point The point, with the BigInteger properties 'x' and 'z'.
+ * @param {BigInteger} a24 The curve constant (A + 2) / 4.
+ * @param {BigInteger} n The modulus.
+ *
+ * @return {Object} The doubled point.
+ */
+function montgomeryDouble(point, a24, n) {
+    var sum = point.x.add(point.z).square().modulo(n);
+    var difference = point.x.subtract(point.z).square().modulo(n);
+    var product = sum.subtract(difference).mod(n);
+
+    return {
+        x: sum.multiply(difference).modulo(n),
+        z: product.multiply(difference.add(a24.multiply(product))).modulo(n)
+    };
+}
+
+
+/**
+ * Helper function that adds two points on a Montgomery curve, given in projective (X : Z)
+ * coordinates, whose difference is known.
+ *
+ * @param {Object} p The first point, with the BigInteger properties 'x' and 'z'.
+ * @param {Object} q The second point.
+ * @param {Object} difference The point p - q.
+ * @param {BigInteger} n The modulus.
+ *
+ * @return {Object} The point p + q.
+ */
+function montgomeryAdd(p, q, difference, n) {
+    var u = p.x.subtract(p.z).multiply(q.x.add(q.z)).mod(n);
+    var v = p.x.add(p.z).multiply(q.x.subtract(q.z)).mod(n);
+
+    return {
+        x: difference.z.multiply(u.add(v).square()).modulo(n),
+        z: difference.x.multiply(u.subtract(v).square()).modulo(n)
+    };
+}
+
+
+/**
+ * Helper function that multiplies a point on a Montgomery curve by a positive native Number with
+ * the Montgomery ladder, which keeps the difference of the two points it works with equal to the
+ * original point.
+ *
+ * @param {Object} point The point, with the BigInteger properties 'x' and 'z'.
+ * @param {Number} multiplier The number by which the point is multiplied, at most
+ *     BigInteger.BASE.
+ * @param {BigInteger} a24 The curve constant (A + 2) / 4.
+ * @param {BigInteger} n The modulus.
+ *
+ * @return {Object} The multiplied point.
+ */
+function montgomeryLadder(point, multiplier, a24, n) {
+    var low = point;
+    var high = montgomeryDouble(point, a24, n);
+
+    for (var bit = digitBitLength(multiplier) - 2; bit >= 0; bit--) {
+        if ((multiplier >>> bit) & 1) {
+            low = montgomeryAdd(high, low, point, n);
+            high = montgomeryDouble(high, a24, n);
+        } else {
+            high = montgomeryAdd(low, high, point, n);
+            low = montgomeryDouble(low, a24, n);
+        }
+    }
+    return low;
+}
+
+
+/**
+ * Helper function that searches for a factor of a composite number with Lenstra's elliptic curve
+ * method. A point on a random curve is multiplied by every prime power up to the bound. If the
+ * order of the curve modulo a prime factor p of the number has no larger prime factors, the result
+ * is the point at infinity modulo p, and its Z coordinate shares the factor p with the number.
+ * Curves are chosen with Suyama's parametrization, whose orders are multiples of 12.
+ *
+ * @param {BigInteger} n The odd composite number to factor.
+ * @param {Object} budget The remaining budgets. Each curve uses one of its 'ecmCurves', and each
+ *     curve uses its 'ecmBound' as the bound.
+ * @param {Function} rng The source of random numbers used to choose curves.
+ *
+ * @return {BigInteger} A non-trivial factor of the number, or null if the budget ran out.
+ */
+function lenstraEcm(n, budget, rng) {
+    var primes = primesUpTo(budget.ecmBound);
+
+    while (budget.ecmCurves > 0) {
+        budget.ecmCurves--;
+
+        var sigma = BigInteger.randomInRange(new BigInteger(6), n.subtract(BigInteger.ONE), rng);
+        var u = sigma.square().subtract(new BigInteger(5)).mod(n);
+        var v = sigma.shiftLeft(2).modulo(n);
+        var point = {
+            x: u.square().multiply(u).modulo(n),
+            z: v.square().multiply(v).modulo(n)
+        };
+
+        // The curve constant is (v - u) ^ 3 * (3 * u + v) / (16 * u ^ 3 * v). Its denominator
+        // might already share a factor with the number.
+        var numerator = v.subtract(u).pow(3).multiply(u.multiply(BigInteger.THREE).add(v)).mod(n);
+        var denominator = point.x.multiply(v).shiftLeft(4).modulo(n);
+        var g = denominator.gcd(n);
+        if (!g.equals(BigInteger.ONE)) {
+            if (!g.equals(n))
+                return g;
+            continue;
+        }
+        var a24 = numerator.multiply(denominator.modInverse(n)).modulo(n);
+
+        for (var i = 0; i < primes.length; i++) {
+            var primePower = primes[i];
+            while (primePower * primes[i] <= budget.ecmBound)
+                primePower *= primes[i];
+            point = montgomeryLadder(point, primePower, a24, n);
+        }
+
+        g = point.z.gcd(n);
+        if (!g.equals(BigInteger.ONE) && !g.equals(n))
+            return g;
+    }
+    return null;
+}
+
+
+/**
+ * Factors the absolute value of this BigInteger into primes. Small factors are found by trial
+ * division, then Pollard's rho algorithm finds factors of up to about 10 digits, and then the
+ * elliptic curve method finds factors of up to about 15 digits. The effort of each stage is
+ * limited by a budget, so factoring a product of large primes gives up and returns a partial
+ * result rather than running for a very long time.
+ *
+ * @param {Object} options Optional. An object with any of the following properties, which must be
+ *     non-negative integers:
+ *     'trialDivisionLimit': The largest prime that is tried by trial division, which is at most
+ *         2 ^ 20. Defaults to 2000.
+ *     'rhoIterations': The total number of steps taken by Pollard's rho algorithm. Defaults to
+ *         100000.
+ *     'ecmCurves': The total number of curves tried by the elliptic curve method. Defaults to 25.
+ *     'ecmBound': The largest prime power by which points are multiplied on each curve, which is
+ *         at most 2 ^ 20. Defaults to 2000.
+ *     'rng': A function that returns a uniformly distributed random integer in the range
+ *         [0, 2 ^ 32), used to choose the sequences and curves. Defaults to the source set by
+ *         setRandomSource.
+ *
+ * @return {Array} The prime factors, as objects with the BigInteger property 'prime' and the
+ *     Number property 'exponent', in increasing order of the primes. One has no prime factors. The
+ *     array also has the property 'remainder', the product of the parts that could not be factored
+ *     within the budgets, which is one if none are left, and the Boolean property 'complete',
+ *     which is true if the factorization is complete.
+ */
+BigInteger.prototype.factor = function(options) {
+    if (this.isZero())
+        throw new BigIntegerRangeError('Zero has no factorization.', this);
+
+    options = options || {};
+    var budget = {};
+    for (var name in DEFAULT_FACTOR_BUDGETS) {
+        var value = options[name] === undefined ? DEFAULT_FACTOR_BUDGETS[name] : options[name];
+        if (!isNonNegativeInteger(value) || value > BigInteger.BASE)
+            throw new BigIntegerRangeError('Budget ' + name + ' must be a non-negative integer.',
+                value);
+
+        // The primes up to these budgets are sieved.
+        var sieved = name === 'trialDivisionLimit' || name === 'ecmBound';
+        if (sieved && value > MAX_FACTOR_SIEVE_LIMIT)
+            throw new BigIntegerRangeError('Budget ' + name + ' must be at most '
+                + MAX_FACTOR_SIEVE_LIMIT + '.', value);
+        budget[name] = value;
+    }
+    var rng = randomSource(options.rng);
+
+    var primes = [];
+    var remainder = BigInteger.ONE;
+    var parts = [{
+        number: trialDivide(this.abs(), budget.trialDivisionLimit, primes),
+        exponent: 1
+    }];
+
+    // Split the parts, which appear with an exponent in the factorization, until they are all
+    // prime or the budgets run out.
+    while (parts.length > 0) {
+        var part = parts.pop();
+        var number = part.number;
+        if (number.equals(BigInteger.ONE))
+            continue;
+
+        if (number.isPrime()) {
+            for (var i = 0; i < part.exponent; i++)
+                primes.push(number);
+            continue;
+        }
+
+        if (number.isEven()) {
+            parts.push({ number: BigInteger.TWO, exponent: part.exponent },
+                { number: number.shiftRight(1), exponent: part.exponent });
+            continue;
+        }
+
+        // Neither algorithm can separate the equal factors of a perfect power.
+        var power = perfectPower(number);
+        if (power.exponent > 1) {
+            parts.push({ number: power.base, exponent: part.exponent * power.exponent });
+            continue;
+        }
+
+        var divisor = pollardBrentRho(number, budget, rng) || lenstraEcm(number, budget, rng);
+        if (divisor === null) {
+            remainder = remainder.multiply(number.pow(part.exponent));
+        } else {
+            parts.push({ number: divisor, exponent: part.exponent },
+                { number: number.divide(divisor), exponent: part.exponent });
+        }
+    }
+
+    primes.sort(function(a, b) {
+        return a.compare(b);
+    });
+
+    var factors = [];
+    for (var i = 0; i < primes.length; i++) {
+        if (i > 0 && primes[i].equals(primes[i - 1]))
+            factors[factors.length - 1].exponent++;
+        else
+            factors.push({ prime: primes[i], exponent: 1 });
+    }
+
+    factors.remainder = remainder;
+    factors.complete = remainder.equals(BigInteger.ONE);
+    return factors;
+}
+
+
+/**
+ * Helper function that calculates the number of bits needed to represent a single digit.
+ *
+ * @param {Number} digit The digit.
+ *
+ * @return {Number} The position of the highest set bit plus one, or zero if 'digit' is zero.
+ */
+function digitBitLength(digit) {
+    var length = 0;
+    while (digit > 0) {
+        digit >>>= 1;
+        length++;
+    }
+    return length;
+}
+
+
+/**
+ * Helper function that counts the number of set bits in a single digit.
+ *
+ * @param {Number} digit The digit.
+ *
+ * @return {Number} The number of set bits in 'digit'.
+ */
+function digitBitCount(digit) {
+    digit = digit - ((digit >>> 1) & 0x55555555);
+    digit = (digit & 0x33333333) + ((digit >>> 2) & 0x33333333);
+    digit = (digit + (digit >>> 4)) & 0x0F0F0F0F;
+    return ((digit * 0x01010101) >>> 24) & 0xFF;
+}
+
+
+/**
+ * Helper function that finds the lowest set bit of an array of digits.
+ *
+ * @param {Array} digits The digits, least significant first. Must not all be zero.
+ *
+ * @return {Number} The index of the lowest set bit, which is the exponent of the largest power of
+ *     two dividing the number.
+ */
+function lowestSetBit(digits) {
+    var index = 0;
+    while (digits[index] === 0)
+        index++;
+
+    var digit = digits[index];
+    var bit = 0;
+    while ((digit & 1) === 0) {
+        digit >>>= 1;
+        bit++;
+    }
+    return index * BigInteger.BITS_PER_DIGIT + bit;
+}
+
+
+/**
+ * Helper function that negates an array of digits in two's complement, in place.
+ *
+ * @param {Array} digits The digits, least significant first.
+ */
+function negateDigits(digits) {
+    var carry = 1;
+    for (var i = 0; i < digits.length; i++) {
+        var value = (~digits[i] & DIGIT_MASK) + carry;
+        digits[i] = value & DIGIT_MASK;
+        carry = value >>> BigInteger.BITS_PER_DIGIT;
+    }
+}
+
+
+/**
+ * Helper function that converts a BigInteger to its two's complement representation in a fixed
+ * number of digits.
+ *
+ * @param {BigInteger} number The BigInteger to be converted.
+ * @param {Number} length The number of digits in the result. Must be large enough to hold the
+ *     magnitude of 'number' plus a sign bit.
+ *
+ * @return {Array} The digits, least significant first.
+ */
+function toTwosComplement(number, length) {
+    var digits = number.digits.slice();
+    while (digits.length < length)
+        digits.push(0);
+
+    if (number.negative && !number.isZero())
+        negateDigits(digits);
+
+    return digits;
+}
+
+
+/**
+ * Helper function that creates a BigInteger from its two's complement representation. The most
+ * significant bit of the last digit is taken as the sign bit.
+ *
+ * @param {Array} digits The digits, least significant first. May be modified.
+ *
+ * @return {BigInteger} The BigInteger represented by 'digits'.
+ */
+function fromTwosComplement(digits) {
+    var negative = digits.length > 0 && digits[digits.length - 1] >= BigInteger.BASE / 2;
+    if (negative)
+        negateDigits(digits);
+
+    return new BigInteger(stripLeadingZeroDigits(digits), negative);
+}
+
+
+/**
+ * Helper function that applies a bitwise operation to each pair of digits in the two's complement
+ * representations of two BigIntegers.
+ *
+ * @param {BigInteger} first The first BigInteger.
+ * @param {BigInteger} second The second BigInteger.
+ * @param {Function} operation A function that takes two digits and returns the result of the
+ *     operation as a signed 32-bit integer.
+ *
+ * @return {BigInteger} The result of the operation.
+ */
+function bitwiseOperation(first, second, operation) {
+
+    // Leave room for the sign bit in the two's complement representations.
+    var length = Math.max(first.digits.length, second.digits.length) + 1;
+
+    var firstDigits = toTwosComplement(first, length);
+    var secondDigits = toTwosComplement(second, length);
+
+    var digits = new Array(length);
+    for (var i = 0; i < length; i++)
+        digits[i] = operation(firstDigits[i], secondDigits[i]) & DIGIT_MASK;
+
+    return fromTwosComplement(digits);
+}
+
+
+/**
+ * Calculates the bitwise AND of this BigInteger and another one. Negative numbers are treated as if
+ * they were in two's complement with an infinite number of sign bits.
+ *
+ * @param {BigInteger} other The BigInteger with which to AND this one.
+ *
+ * @return {BigInteger} The result of this & other.
+ */
+BigInteger.prototype.and = function(other) {
+    return bitwiseOperation(this, other, function(a, b) { return a & b; });
+}
+
+
+/**
+ * Calculates the bitwise OR of this BigInteger and another one. Negative numbers are treated as if
+ * they were in two's complement with an infinite number of sign bits.
+ *
+ * @param {BigInteger} other The BigInteger with which to OR this one.
+ *
+ * @return {BigInteger} The result of this | other.
+ */
+BigInteger.prototype.or = function(other) {
+    return bitwiseOperation(this, other, function(a, b) { return a | b; });
+}
+
+
+/**
+ * Calculates the bitwise XOR of this BigInteger and another one. Negative numbers are treated as if
+ * they were in two's complement with an infinite number of sign bits.
+ *
+ * @param {BigInteger} other The BigInteger with which to XOR this one.
+ *
+ * @return {BigInteger} The result of this ^ other.
+ */
+BigInteger.prototype.xor = function(other) {
+    return bitwiseOperation(this, other, function(a, b) { return a ^ b; });
+}
+
+
+/**
+ * Calculates the bitwise AND of this BigInteger and the complement of another one. Negative numbers
+ * are treated as if they were in two's complement with an infinite number of sign bits.
+ *
+ * @param {BigInteger} other The BigInteger whose complement is ANDed with this one.
+ *
+ * @return {BigInteger} The result of this & ~other.
+ */
+BigInteger.prototype.andNot = function(other) {
+    return bitwiseOperation(this, other, function(a, b) { return a & ~b; });
+}
+
+
+/**
+ * Calculates the bitwise complement of this BigInteger. In two's complement, this is always equal
+ * to -this - 1.
+ *
+ * @return {BigInteger} The result of ~this.
+ */
+BigInteger.prototype.not = function() {
+    return this.negate().subtract(BigInteger.ONE);
+}
+
+
+/**
+ * Helper function that checks that a shift distance, or a bit index, is a safe integer.
+ *
+ * @param {Number} distance The shift distance.
+ *
+ * @return {Boolean} True if 'distance' is a safe integer.
+ */
+function isShiftDistance(distance) {
+    return typeof distance === 'number' && distance === Math.floor(distance)
+        && Math.abs(distance) <= 9007199254740991;
+}
+
+
+/**
+ * Shifts this BigInteger left by a number of bits, which is equivalent to multiplying it by a power
+ * of two. A negative distance shifts right instead.
+ *
+ * @param {Number} distance The number of bits to shift by. Must be a safe integer.
+ *
+ * @return {BigInteger} The result of this << distance.
+ */
+BigInteger.prototype.shiftLeft = function(distance) {
+
+    // Throw an error if the distance is not a number.
+    if (typeof(distance) !== 'number')
+        throw new BigIntegerTypeError('Shift distance is not a number.', distance);
+    if (!isShiftDistance(distance))
+        throw new BigIntegerRangeError('Shift distance must be a safe integer.', distance);
+
+    if (distance < 0)
+        return this.shiftRight(-distance);
+
+    if (this.isZero() || distance === 0)
+        return this;
+
+    // Prepend whole digits of zeroes, then shift the remaining bits.
+    var digits = new Array(Math.floor(distance / BigInteger.BITS_PER_DIGIT));
+    for (var i = 0; i < digits.length; i++)
+        digits[i] = 0;
+
+    digits = digits.concat(shiftDigitsLeft(this.digits, distance % BigInteger.BITS_PER_DIGIT));
+
+    return new BigInteger(stripLeadingZeroDigits(digits), this.negative);
+}
+
+
+/**
+ * Shifts this BigInteger right by a number of bits, with sign extension. This is equivalent to
+ * dividing it by a power of two and rounding towards negative infinity. A negative distance shifts
+ * left instead.
+ *
+ * @param {Number} distance The number of bits to shift by. Must be a safe integer.
+ *
+ * @return {BigInteger} The result of this >> distance.
+ */
+BigInteger.prototype.shiftRight = function(distance) {
+
+    // Throw an error if the distance is not a number.
+    if (typeof(distance) !== 'number')
+        throw new BigIntegerTypeError('Shift distance is not a number.', distance);
+    if (!isShiftDistance(distance))
+        throw new BigIntegerRangeError('Shift distance must be a safe integer.', distance);
+
+    if (distance < 0)
+        return this.shiftLeft(-distance);
+
+    if (this.isZero() || distance === 0)
+        return this;
+
+    // Non-negative numbers simply lose the bits that are shifted out. In two's complement, -x >> n
+    // is equal to -(((x - 1) >> n) + 1).
+    var magnitude = this.negative ? this.abs().subtract(BigInteger.ONE) : this;
+
+    var digits = shiftDigitsRight(magnitude.digits.slice(
+        Math.floor(distance / BigInteger.BITS_PER_DIGIT)), distance % BigInteger.BITS_PER_DIGIT);
+    var shifted = new BigInteger(digits, false);
+
+    return this.negative ? shifted.add(BigInteger.ONE).negate() : shifted;
+}
+
+
+/**
+ * Checks whether a bit is set in the two's complement representation of this BigInteger.
+ *
+ * @param {Number} n The index of the bit, where zero is the least significant bit. Must be a
+ *     non-negative safe integer.
+ *
+ * @return {Boolean} True if the bit is set, false otherwise.
+ */
+BigInteger.prototype.testBit = function(n) {
+
+    // Throw an error if the index is invalid.
+    if (typeof(n) !== 'number')
+        throw new BigIntegerTypeError('Bit index is not a number.', n);
+    if (n < 0 || !isShiftDistance(n))
+        throw new BigIntegerRangeError('Bit index must be a non-negative safe integer.', n);
+
+    // In two's complement, the bits of -x are the complement of the bits of x - 1.
+    var magnitude = this.negative ? this.abs().subtract(BigInteger.ONE) : this;
+
+    var digit = magnitude.digits[Math.floor(n / BigInteger.BITS_PER_DIGIT)] || 0;
+    var bit = (digit >>> (n % BigInteger.BITS_PER_DIGIT)) & 1;
+
+    return this.negative ? bit === 0 : bit === 1;
+}
+
+
+/**
+ * Returns a BigInteger equal to this BigInteger with a single bit set.
+ *
+ * @param {Number} n The index of the bit, where zero is the least significant bit. Must be a
+ *     non-negative safe integer.
+ *
+ * @return {BigInteger} The result of this | (1 << n).
+ */
+BigInteger.prototype.setBit = function(n) {
+    if (this.testBit(n))
+        return this;
+    return this.or(BigInteger.ONE.shiftLeft(n));
+}
+
+
+/**
+ * Returns a BigInteger equal to this BigInteger with a single bit cleared.
+ *
+ * @param {Number} n The index of the bit, where zero is the least significant bit. Must be a
+ *     non-negative safe integer.
+ *
+ * @return {BigInteger} The result of this & ~(1 << n).
+ */
+BigInteger.prototype.clearBit = function(n) {
+    if (!this.testBit(n))
+        return this;
+    return this.andNot(BigInteger.ONE.shiftLeft(n));
+}
+
+
+/**
+ * Returns a BigInteger equal to this BigInteger with a single bit flipped.
+ *
+ * @param {Number} n The index of the bit, where zero is the least significant bit. Must be a
+ *     non-negative safe integer.
+ *
+ * @return {BigInteger} The result of this ^ (1 << n).
+ */
+BigInteger.prototype.flipBit = function(n) {
+
+    // Throw an error if the index is invalid.
+    if (typeof(n) !== 'number')
+        throw new BigIntegerTypeError('Bit index is not a number.', n);
+    if (n < 0 || !isShiftDistance(n))
+        throw new BigIntegerRangeError('Bit index must be a non-negative safe integer.', n);
+
+    return this.xor(BigInteger.ONE.shiftLeft(n));
+}
+
+
+/**
+ * Calculates the number of bits in the minimal two's complement representation of this BigInteger,
+ * excluding the sign bit. For positive numbers, this is the position of the highest set bit plus
+ * one.
+ *
+ * @return {Number} The number of bits, which is zero for 0 and -1.
+ */
+BigInteger.prototype.bitLength = function() {
+
+    // In two's complement, -x needs as many bits as x - 1.
+    var magnitude = this.negative ? this.abs().subtract(BigInteger.ONE) : this;
+
+    var digits = magnitude.digits;
+    if (digits.length === 0)
+        return 0;
+
+    return (digits.length - 1) * BigInteger.BITS_PER_DIGIT
+        + digitBitLength(digits[digits.length - 1]);
+}
+
+
+/**
+ * Counts the number of bits in the two's complement representation of this BigInteger that differ
+ * from its sign bit. For positive numbers, this is the number of set bits.
+ *
+ * @return {Number} The number of bits that differ from the sign bit.
+ */
+BigInteger.prototype.bitCount = function() {
+
+    // In two's complement, the bits of -x are the complement of the bits of x - 1.
+    var magnitude = this.negative ? this.abs().subtract(BigInteger.ONE) : this;
+
+    var count = 0;
+    for (var i = 0; i < magnitude.digits.length; i++)
+        count += digitBitCount(magnitude.digits[i]);
+
+    return count;
+}
+
+
+/**
+ * Helper function that converts a BigInteger to a native BigInt, through its hexadecimal
+ * representation.
+ *
+ * @param {BigInteger} number The BigInteger to convert.
+ *
+ * @return {BigInt} The BigInt with the same value.
+ */
+function toNativeBigInt(number) {
+    if (number.isZero())
+        return BigInt(0);
+
+    var magnitude = BigInt('0x' + powerOfTwoDigitsToString(number.digits, 16));
+    return number.negative ? -magnitude : magnitude;
+}
+
+
+/**
+ * Helper function that converts a native BigInt to a BigInteger, through its hexadecimal
+ * representation.
+ *
+ * @param {BigInt} value The BigInt to convert.
+ *
+ * @return {BigInteger} The BigInteger with the same value.
+ */
+function fromNativeBigInt(value) {
+    var negative = value < 0;
+    var digits = parseDigits((negative ? -value : value).toString(16), 16);
+    return new BigInteger(digits, negative);
+}
+
+
+/**
+ * Helper function that creates a method of the BigInt backend, which converts its operands to
+ * native BigInts, calculates the result with them and converts it back. Arguments that the native
+ * calculation cannot handle, such as a divisor of zero, are passed to the method of the digits
+ * backend instead, so that both backends behave the same.
+ *
+ * @param {String} name The name of the method.
+ * @param {Function} accepts Called with the same arguments as the method. Returns true if the
+ *     native calculation can handle them.
+ * @param {Function} calculate Called with this BigInteger and the BigInteger arguments converted
+ *     to BigInts, and any other arguments unchanged. Returns the result as a BigInt.
+ *
+ * @return {Function} The method.
+ */
+function nativeMethod(name, accepts, calculate) {
+    return function() {
+        if (!accepts.apply(this, arguments))
+            return backends.digits[name].apply(this, arguments);
+
+        var args = [toNativeBigInt(this)];
+        for (var i = 0; i < arguments.length; i++) {
+            args.push(arguments[i] instanceof BigInteger ? toNativeBigInt(arguments[i])
+                : arguments[i]);
+        }
+
+        return fromNativeBigInt(calculate.apply(null, args));
+    }
+}
+
+
+/**
+ * Helper function that calculates the power of a native BigInt using exponentiation by squaring.
+ * The exponentiation operator is not used, so that this file can still be parsed by engines that
+ * do not support it.
+ *
+ * @param {BigInt} base The base.
+ * @param {Number} exponent The exponent, which must be a non-negative integer.
+ *
+ * @return {BigInt} The result.
+ */
+function nativePow(base, exponent) {
+    var result = BigInt(1);
+
+    while (exponent > 0) {
+        if (exponent % 2 === 1)
+            result *= base;
+        exponent = Math.floor(exponent / 2);
+
+        // Avoid squaring the base after the last bit, which would be wasted.
+        if (exponent > 0)
+            base *= base;
+    }
+
+    return result;
+}
+
+
+/**
+ * Helper function that calculates the power of a native BigInt modulo another using
+ * exponentiation by squaring.
+ *
+ * @param {BigInt} base The base, which must not be negative.
+ * @param {BigInt} exponent The exponent, which must not be negative.
+ * @param {BigInt} modulus The modulus, which must be positive.
+ *
+ * @return {BigInt} The result, in the range [0, modulus).
+ */
+function nativeModPow(base, exponent, modulus) {
+    var zero = BigInt(0);
+    var one = BigInt(1);
+    var result = one % modulus;
+
+    base %= modulus;
+    while (exponent > zero) {
+        if ((exponent & one) === one)
+            result = result * base % modulus;
+        base = base * base % modulus;
+        exponent >>= one;
+    }
+
+    return result;
+}
+
+
+/**
+ * Helper function that makes a native BigInt non-negative.
+ *
+ * @param {BigInt} value The BigInt.
+ *
+ * @return {BigInt} The absolute value of 'value'.
+ */
+function nativeAbs(value) {
+    return value < 0 ? -value : value;
+}
+
+
+/**
+ * Helper function that checks that a Number is a non-negative integer, as required by pow and the
+ * budgets of factor.
+ *
+ * @param {Number} exponent The Number to check.
+ *
+ * @return {Boolean} True if 'exponent' is a non-negative integer.
+ */
+function isNonNegativeInteger(exponent) {
+    return typeof exponent === 'number' && exponent >= 0 && exponent === Math.floor(exponent)
+        && exponent !== Infinity;
+}
+
+
+/**
+ * Helper function that checks that the divisor of a division is not zero.
+ *
+ * @param {BigInteger} other The divisor.
+ *
+ * @return {Boolean} True if 'other' is not zero.
+ */
+function hasNonZeroDivisor(other) {
+    return !other.isZero();
+}
+
+
+/**
+ * Helper function that accepts any arguments.
+ *
+ * @return {Boolean} Always true.
+ */
+function acceptsAll() {
+    return true;
+}
+
+
+// The implementations of the arithmetic methods. The digits backend is the one defined above. The
+// BigInt backend delegates to native BigInts, which is faster for large numbers in engines that
+// support them.
+var backends = {
+    digits: {},
+    bigint: {
+        add: nativeMethod('add', acceptsAll, function(a, b) {
+            return a + b;
+        }),
+        subtract: nativeMethod('subtract', acceptsAll, function(a, b) {
+            return a - b;
+        }),
+        multiply: nativeMethod('multiply', acceptsAll, function(a, b) {
+            return a * b;
+        }),
+        square: nativeMethod('square', acceptsAll, function(a) {
+            return a * a;
+        }),
+        divide: nativeMethod('divide', hasNonZeroDivisor, function(a, b) {
+            return a / b;
+        }),
+        divideAndRemainder: function(other) {
+            if (other.isZero())
+                return backends.digits.divideAndRemainder.call(this, other);
+
+            var a = toNativeBigInt(this);
+            var b = toNativeBigInt(other);
+            return { quotient: fromNativeBigInt(a / b), remainder: fromNativeBigInt(a % b) };
+        },
+        modulo: nativeMethod('modulo', hasNonZeroDivisor, function(a, b) {
+            return nativeAbs(a % b);
+        }),
+        pow: nativeMethod('pow', isNonNegativeInteger, function(a, exponent) {
+            return nativePow(a, exponent);
+        }),
+        modPow: nativeMethod('modPow', function(exponent, modulus) {
+            return !modulus.isZero() && !exponent.negative && !exponent.isZero();
+        }, function(a, exponent, modulus) {
+            modulus = nativeAbs(modulus);
+            return nativeModPow((a % modulus + modulus) % modulus, exponent, modulus);
+        }),
+        and: nativeMethod('and', acceptsAll, function(a, b) {
+            return a & b;
+        }),
+        or: nativeMethod('or', acceptsAll, function(a, b) {
+            return a | b;
+        }),
+        xor: nativeMethod('xor', acceptsAll, function(a, b) {
+            return a ^ b;
+        }),
+        shiftLeft: nativeMethod('shiftLeft', isShiftDistance, function(a, distance) {
+            return a << BigInt(distance);
+        }),
+        shiftRight: nativeMethod('shiftRight', isShiftDistance, function(a, distance) {
+            return a >> BigInt(distance);
+        })
+    }
+};
+
+for (var name in backends.bigint)
+    backends.digits[name] = BigInteger.prototype[name];
+
+// The name of the backend in use.
+var currentBackend = 'digits';
+
+
+/**
+ * Selects the implementation of the arithmetic methods: add, subtract, multiply, square, divide,
+ * divideAndRemainder, modulo, pow, modPow, and, or, xor, shiftLeft and shiftRight. Every other
+ * method is built on top of these. The 'digits' backend, which is the default, works in any
+ * engine. The 'bigint' backend delegates to native BigInts, and may only be selected in engines
+ * that support them. Both backends give the same results and throw the same errors.
+ *
+ * @param {String} name The name of the backend, either 'digits' or 'bigint'.
+ */
+BigInteger.setBackend = function(name) {
+    if (name !== 'digits' && name !== 'bigint')
+        throw new BigIntegerRangeError('Backend must be either \'digits\' or \'bigint\'.', name);
+
+    if (name === 'bigint' && typeof BigInt !== 'function')
+        throw new BigIntegerError('Native BigInt is not supported.');
+
+    for (var method in backends[name])
+        BigInteger.prototype[method] = backends[name][method];
+
+    currentBackend = name;
+}
+
+
+/**
+ * Gets the name of the backend implementing the arithmetic methods.
+ *
+ * @return {String} Either 'digits' or 'bigint'.
+ */
+BigInteger.getBackend = function() {
+    return currentBackend;
+}
+
+
+// The errors are exposed through BigInteger, so that they can be caught by type.
+BigInteger.BigIntegerError = BigIntegerError;
+BigInteger.BigIntegerDivisionByZeroError = BigIntegerDivisionByZeroError;
+BigInteger.BigIntegerRangeError = BigIntegerRangeError;
+BigInteger.BigIntegerTypeError = BigIntegerTypeError;
+BigInteger.BigIntegerParseError = BigIntegerParseError;
+BigInteger.BigIntegerNoInverseError = BigIntegerNoInverseError;
+BigInteger.BigIntegerNoSquareRootError = BigIntegerNoSquareRootError;
+BigInteger.BigIntegerNoSolutionError = BigIntegerNoSolutionError;
+BigInteger.BigIntegerEncodingError = BigIntegerEncodingError;
+
+export default BigInteger;
+export {
+    BigInteger,
+    BigIntegerError,
+    BigIntegerDivisionByZeroError,
+    BigIntegerRangeError,
+    BigIntegerTypeError,
+    BigIntegerParseError,
+    BigIntegerNoInverseError,
+    BigIntegerNoSquareRootError,
+    BigIntegerNoSolutionError,
+    BigIntegerEncodingError
+};
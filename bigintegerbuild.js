@@ -0,0 +1,87 @@
+/*
+ * Copyright (c) 2015 Adam Heins
+ *
+ * This file is part of the BigInteger.js project, which is distributed under the MIT license.
+ * For the full terms, see the included license file.
+ */
+
+
+/**
+ * Generates biginteger.mjs, the ES module build of the library, from biginteger.js. The body of
+ * the universal module definition is copied as it is, and the BigInteger class and its errors are
+ * exported instead of returned, so that the module loads natively in browsers, Deno and Node
+ * without any CommonJS interoperability.
+ *
+ * Run it with 'npm run build' after changing biginteger.js. With the '--check' argument, which the
+ * tests use, nothing is written, and the exit code is 1 if biginteger.mjs is out of date.
+ */
+var fs = require('fs');
+var path = require('path');
+
+var SOURCE = path.join(__dirname, 'biginteger.js');
+var TARGET = path.join(__dirname, 'biginteger.mjs');
+
+// The lines that enclose the body of the universal module definition.
+var BODY_START = '})(typeof self !== \'undefined\' ? self : this, function() {\n\n'
+    + '\'use strict\';\n';
+var BODY_END = '\nreturn BigInteger;\n\n});\n';
+
+
+/**
+ * Finds the only occurrence of a marker in the source.
+ *
+ * @param {String} source The source of biginteger.js.
+ * @param {String} marker The text to find.
+ *
+ * @return {Number} The index of the marker.
+ */
+function findMarker(source, marker) {
+    var index = source.indexOf(marker);
+    if (index < 0 || source.indexOf(marker, index + 1) >= 0)
+        throw new Error('biginteger.js does not contain exactly one ' + JSON.stringify(marker));
+    return index;
+}
+
+
+/**
+ * Builds the source of the ES module.
+ *
+ * @param {String} source The source of biginteger.js.
+ *
+ * @return {String} The source of biginteger.mjs.
+ */
+function buildModule(source) {
+    var copyright = source.substring(0, source.indexOf('*/\n') + 3);
+    var start = findMarker(source, BODY_START) + BODY_START.length;
+    var end = findMarker(source, BODY_END);
+    var body = source.substring(start, end);
+
+    // Every error class that is exposed through BigInteger is exported by name too.
+    var errors = [];
+    var pattern = /^BigInteger\.(BigInteger\w*Error) = /gm;
+    for (var match = pattern.exec(body); match !== null; match = pattern.exec(body))
+        errors.push(match[1]);
+
+    return copyright + '\n'
+        + '// ES module build of biginteger.js, generated by bigintegerbuild.js. Edit\n'
+        + '// biginteger.js and run \'npm run build\' instead of editing this file.\n'
+        + body + '\n'
+        + 'export default BigInteger;\n'
+        + 'export {\n'
+        + ['BigInteger'].concat(errors).map(function(name) {
+            return '    ' + name;
+        }).join(',\n') + '\n'
+        + '};\n';
+}
+
+
+var built = buildModule(fs.readFileSync(SOURCE, 'utf8'));
+
+if (process.argv[2] === '--check') {
+    var current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : '';
+    if (current !== built) {
+        console.error('biginteger.mjs is out of date. Run \'npm run build\'.');
+        process.exitCode = 1;
+    }
+} else
+    fs.writeFileSync(TARGET, built);
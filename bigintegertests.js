@@ -7,18 +7,101 @@
 
 
 /**
- * Tests for the BigInteger class.
+ * Tests for the BigInteger class. In Node, the tests are run with 'node bigintegertests.js'. In a
+ * browser, biginteger.js must be loaded first, which defines BigInteger as a global.
  *
  * @author Adam Heins
  */
 
 
+// Load the library as a module where possible.
+if (typeof require === 'function')
+    var BigInteger = require('./biginteger.js');
+
+var BigIntegerError = BigInteger.BigIntegerError;
+var BigIntegerDivisionByZeroError = BigInteger.BigIntegerDivisionByZeroError;
+var BigIntegerRangeError = BigInteger.BigIntegerRangeError;
+var BigIntegerTypeError = BigInteger.BigIntegerTypeError;
+var BigIntegerParseError = BigInteger.BigIntegerParseError;
+var BigIntegerNoInverseError = BigInteger.BigIntegerNoInverseError;
+var BigIntegerNoSquareRootError = BigInteger.BigIntegerNoSquareRootError;
+var BigIntegerNoSolutionError = BigInteger.BigIntegerNoSolutionError;
+var BigIntegerEncodingError = BigInteger.BigIntegerEncodingError;
+
+
+/** Test that only BigInteger is exposed by the library. **/
+
+['stripLeadingZeroDigits', 'parseDigits', 'divideByNativeNumber', 'longDivision',
+        'multiplyDigits', 'BigIntegerError', 'DIGIT_MASK'].forEach(function(name) {
+    assertEquals('undefined', typeof (function() { return this; })()[name],
+        name + ' is a global.');
+});
+
+
+/** Test the ES module build. **/
+
+// The ES module is loaded natively, so it must not depend on CommonJS. It loads asynchronously, so
+// these tests finish after all the others.
+var esModuleTested = import('./biginteger.mjs').then(function(module) {
+    var ESBigInteger = module.default;
+    assertTrue(ESBigInteger === module.BigInteger);
+    assertEquals('1267650600228229401496703205376', ESBigInteger.ONE.shiftLeft(100).toString());
+    assertTrue(module.BigIntegerRangeError === ESBigInteger.BigIntegerRangeError);
+    assertTrue(module.BigIntegerParseError.prototype instanceof module.BigIntegerError);
+    assertThrows(function() {
+        ESBigInteger.ONE.toString(37);
+    }, module.BigIntegerRangeError);
+});
+
+
 /** Test all ways to create a BigInteger with the value of zero. **/
 
 assertEquals(BigInteger.ZERO, new BigInteger('0'));
 assertEquals(BigInteger.ZERO, new BigInteger(0));
-assertEquals(BigInteger.ZERO, new BigInteger(''));
 assertEquals(BigInteger.ZERO, new BigInteger());
+assertEquals(BigInteger.ZERO, new BigInteger('-0'));
+assertEquals(BigInteger.ZERO, new BigInteger('+000'));
+
+
+/** Test the constructor's validation of its arguments. **/
+
+// Test strings with signs and leading zeroes.
+assertEquals(new BigInteger(123), new BigInteger('+123'));
+assertEquals(new BigInteger(-123), new BigInteger('-000123'));
+assertEquals('123', new BigInteger('+00123').toString());
+
+// Test strings that are not integers.
+[
+    ['', 0], ['-', 1], ['+', 1], ['12a4', 2], [' 5', 0], ['5 ', 1], ['1e5', 1], ['--3', 1],
+    ['+-3', 1], ['1.5', 1], ['0x10', 1], ['1,000', 1], ['Infinity', 0]
+].forEach(function(invalid) {
+    try {
+        new BigInteger(invalid[0]);
+        throw 'Expected "' + invalid[0] + '" to be rejected.';
+    } catch (error) {
+        assertTrue(error instanceof BigIntegerParseError, 'Wrong error for "' + invalid[0] + '".');
+        assertEquals(invalid[0], error.input);
+        assertEquals(invalid[1], error.position);
+    }
+});
+
+// Test Numbers that are not safe integers.
+[1.5, -0.5, NaN, Infinity, -Infinity, 9007199254740992, -1e300].forEach(function(invalid) {
+    assertThrows(function() {
+        new BigInteger(invalid);
+    }, BigIntegerRangeError);
+});
+
+// Test the largest safe integers.
+assertEquals('9007199254740991', new BigInteger(9007199254740991).toString());
+assertEquals('-9007199254740991', new BigInteger(-9007199254740991).toString());
+
+// Test values of other types.
+[true, {}, function() {}].forEach(function(invalid) {
+    assertThrows(function() {
+        new BigInteger(invalid);
+    }, BigIntegerTypeError);
+});
 
 
 /** Test toString() **/
@@ -42,6 +125,29 @@ assertEquals('1000', (new BigInteger(8)).toString(2));
 // Test convervion to a base higher than decimal.
 assertEquals('75BCD15', (new BigInteger(123456789)).toString(16));
 
+// Test conversion of a negative number to a base other than decimal.
+assertEquals('-FF', (new BigInteger(-255)).toString(16));
+
+// Test conversion to a power-of-two base across several digits.
+assertEquals('FFFFFFFFFFFFFFFFFFFFFFFFFF',
+    (new BigInteger('20282409603651670423947251286015')).toString(16));
+assertEquals('10000000000000', (new BigInteger('4503599627370496')).toString(16));
+
+// Test conversion of a large number to a base that is not a power of two.
+assertEquals('100000000000000000000000000000000000000000000000000000000000000000000000000000000'
+    + '00000000000000000000', (new BigInteger('515377520732011331036461129765621272702107522001'))
+        .toString(3));
+
+// Test conversion of a number constructed from an array of digits.
+assertEquals('469762053', (new BigInteger([5, 7], false)).toString());
+
+// Test with bases that are not integers in the range [2, 36].
+[10.5, NaN, null, '16', 1, 37].forEach(function(base) {
+    assertThrows(function() {
+        new BigInteger(7).toString(base);
+    }, BigIntegerRangeError);
+});
+
 
 /** Test toNumber() **/
 
@@ -69,6 +175,36 @@ assertEquals(new BigInteger(16777215), BigInteger.valueOf('ffffff', 16));
 // Test with a much higher base, 30.
 assertEquals(new BigInteger('459761806362022'), BigInteger.valueOf('nameisadam', 30));
 
+// Test with a power-of-two base across several digits.
+assertEquals(new BigInteger('20282409603651670423947251286015'),
+    BigInteger.valueOf('ffffffffffffffffffffffffff', 16));
+
+// Test with the highest base, 36.
+assertEquals(new BigInteger('178689910246017054531432477289437798228285773001601743140683775'),
+    BigInteger.valueOf('zzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz', 36));
+
+// Test with a negative number.
+assertEquals(new BigInteger(-255), BigInteger.valueOf('-ff', 16));
+
+// Test strings with characters that are not digits in the base.
+assertThrows(function() {
+    BigInteger.valueOf('102', 2);
+}, BigIntegerParseError);
+assertThrows(function() {
+    BigInteger.valueOf('fg', 16);
+}, BigIntegerParseError);
+assertThrows(function() {
+    BigInteger.valueOf('', 16);
+}, BigIntegerParseError);
+
+// Test invalid bases.
+assertThrows(function() {
+    BigInteger.valueOf('10', 37);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.valueOf('10');
+}, BigIntegerRangeError);
+
 
 /** Test compare(...) **/
 
@@ -142,6 +278,192 @@ assertTrue(new BigInteger(-9000000).isLessThan(new BigInteger(-5000000)));
 assertTrue(new BigInteger(-5000000).isLessThan(new BigInteger(-800)));
 
 
+/** Test seededRandomSource(...) **/
+
+// Test that the same seed gives the same sequence.
+var first = BigInteger.seededRandomSource(42);
+var second = BigInteger.seededRandomSource(42);
+assertEquals(2837322924, first());
+assertEquals(1845794875, first());
+assertEquals(4029291681, first());
+for (var i = 0; i < 3; i++)
+    second();
+for (var i = 0; i < 1000; i++)
+    assertEquals(first(), second());
+
+// Test that the numbers are unsigned 32-bit integers.
+var source = BigInteger.seededRandomSource(9007199254740991);
+for (var i = 0; i < 1000; i++) {
+    var value = source();
+    assertTrue(value >= 0 && value < 4294967296 && value === Math.floor(value));
+}
+
+// Test that seeds differing only in their high or low halves give different sequences.
+[0, 1, 4294967296].forEach(function(seed) {
+    var a = BigInteger.seededRandomSource(seed);
+    var b = BigInteger.seededRandomSource(seed + 2);
+    assertTrue(a() !== b() || a() !== b());
+});
+
+// Test that random BigIntegers can be reproduced.
+var limit = new BigInteger('123456789012345678901234567890');
+assertEquals(BigInteger.random(limit, BigInteger.seededRandomSource(7)),
+    BigInteger.random(limit, BigInteger.seededRandomSource(7)));
+assertEquals(BigInteger.randomBits(500, BigInteger.seededRandomSource(7)),
+    BigInteger.randomBits(500, BigInteger.seededRandomSource(7)));
+
+// Test that the witnesses of isPrime can be reproduced, by recording the random numbers used.
+var recordWitnesses = function() {
+    var values = [];
+    var source = BigInteger.seededRandomSource(2015);
+    new BigInteger('170141183460469231731687303715884105727').isPrime(10, function() {
+        var value = source();
+        values.push(value);
+        return value;
+    });
+    return values.join(',');
+}
+assertEquals(recordWitnesses(), recordWitnesses());
+
+// Test invalid seeds.
+assertThrows(function() {
+    BigInteger.seededRandomSource(-1);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.seededRandomSource(0.5);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.seededRandomSource('42');
+}, BigIntegerTypeError);
+
+
+/** Test setRandomSource(...) **/
+
+// Test that the source is used by default.
+BigInteger.setRandomSource(BigInteger.seededRandomSource(99));
+var first = [BigInteger.randomBits(100), BigInteger.random(limit),
+    BigInteger.randomInRange(BigInteger.NEGATIVE_ONE.shiftLeft(80), BigInteger.ONE.shiftLeft(80))];
+BigInteger.setRandomSource(BigInteger.seededRandomSource(99));
+var second = [BigInteger.randomBits(100), BigInteger.random(limit),
+    BigInteger.randomInRange(BigInteger.NEGATIVE_ONE.shiftLeft(80), BigInteger.ONE.shiftLeft(80))];
+for (var i = 0; i < first.length; i++)
+    assertEquals(first[i], second[i]);
+
+// Test that a source passed directly takes precedence.
+assertEquals(BigInteger.ZERO, BigInteger.randomBits(100, function() { return 0; }));
+
+// Test restoring the secure source.
+BigInteger.setRandomSource();
+assertTrue(BigInteger.randomBits(100).bitLength() <= 100);
+
+// Test an invalid source.
+assertThrows(function() {
+    BigInteger.setRandomSource(42);
+}, BigIntegerTypeError);
+
+
+/** Test randomBits(...) **/
+
+// Test that the numbers have at most the requested number of bits.
+[0, 1, 25, 26, 27, 100].forEach(function(bits) {
+    for (var i = 0; i < 20; i++) {
+        var number = BigInteger.randomBits(bits);
+        assertFalse(number.negative);
+        assertTrue(number.bitLength() <= bits);
+    }
+});
+
+// Test with a custom source of random numbers.
+var maximumSource = function() {
+    return 0xFFFFFFFF;
+}
+assertEquals(BigInteger.ONE.shiftLeft(100).subtract(BigInteger.ONE),
+    BigInteger.randomBits(100, maximumSource));
+assertEquals(BigInteger.ZERO, BigInteger.randomBits(100, function() { return 0; }));
+
+// Test invalid arguments.
+assertThrows(function() {
+    BigInteger.randomBits(-1);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.randomBits(1.5);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.randomBits(10, 42);
+}, BigIntegerTypeError);
+
+
+/** Test random(...) **/
+
+// Test that the numbers are in range.
+var limit = new BigInteger('123456789012345678901234567890');
+for (var i = 0; i < 100; i++) {
+    var number = BigInteger.random(limit);
+    assertFalse(number.negative);
+    assertTrue(number.isLessThan(limit));
+}
+assertEquals(BigInteger.ZERO, BigInteger.random(BigInteger.ONE));
+
+// Test that small ranges are uniform. With 6000 samples, each count is within 200 of the expected
+// 1000 with overwhelming probability.
+var counts = [0, 0, 0, 0, 0, 0];
+for (var i = 0; i < 6000; i++)
+    counts[BigInteger.random(new BigInteger(6)).toNumber()]++;
+counts.forEach(function(count) {
+    assertTrue(Math.abs(count - 1000) < 200, 'Count of ' + count + ' is not uniform.');
+});
+
+// Test that a number just above a power of two has a uniform top digit. Values of at least 2 ^ 26
+// make up a third of the range.
+var limit = BigInteger.BASE_AS_BIGINTEGER.add(BigInteger.BASE_AS_BIGINTEGER.shiftRight(1));
+var high = 0;
+for (var i = 0; i < 3000; i++) {
+    if (BigInteger.random(limit).compare(BigInteger.BASE_AS_BIGINTEGER) >= 0)
+        high++;
+}
+assertTrue(Math.abs(high - 1000) < 150, 'Count of ' + high + ' is not uniform.');
+
+// Test with a custom source of random numbers.
+assertEquals(BigInteger.ZERO, BigInteger.random(limit, function() { return 0; }));
+
+// Test invalid limits.
+assertThrows(function() {
+    BigInteger.random(BigInteger.ZERO);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.random(new BigInteger(-5));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.random(5);
+}, BigIntegerTypeError);
+
+
+/** Test randomInRange(...) **/
+
+// Test that the numbers are in range, including both bounds.
+var min = new BigInteger(-3);
+var max = new BigInteger(3);
+var seen = {};
+for (var i = 0; i < 500; i++) {
+    var number = BigInteger.randomInRange(min, max);
+    assertTrue(number.compare(min) >= 0 && number.compare(max) <= 0);
+    seen[number.toString()] = true;
+}
+assertEquals(7, Object.keys(seen).length);
+
+// Test a range of a single number.
+assertEquals(new BigInteger('-98765432109876543210'), BigInteger.randomInRange(
+    new BigInteger('-98765432109876543210'), new BigInteger('-98765432109876543210')));
+
+// Test with a custom source of random numbers.
+assertEquals(min, BigInteger.randomInRange(min, max, function() { return 0; }));
+
+// Test a minimum greater than the maximum.
+assertThrows(function() {
+    BigInteger.randomInRange(max, min);
+}, BigIntegerRangeError);
+
+
 /** Test max(...) **/
 
 // Test with a single argument.
@@ -264,6 +586,12 @@ assertEquals(new BigInteger(14999999), (new BigInteger(15000000)).subtract(BigIn
 assertEquals(new BigInteger('12345678901234567890'),
     (new BigInteger('24691357802469135780')).subtract(new BigInteger('12345678901234567890')));
 
+// Test a subtraction that borrows across a digit of zero.
+assertEquals(new BigInteger('999999999999'),
+    (new BigInteger('1000000000000')).subtract(BigInteger.ONE));
+assertEquals(new BigInteger('162259276829213363391578010288126'),
+    (new BigInteger('162259276829213363391578010288127')).subtract(BigInteger.ONE));
+
 
 /** Test multiply(...) **/
 
@@ -286,6 +614,64 @@ assertEquals(new BigInteger('-45000000000000000000'),
 assertEquals(new BigInteger('152415787532374345526722756'),
     (new BigInteger('12345678901234')).multiply(new BigInteger('12345678901234')));
 
+// Test multiplication of numbers large enough for the Karatsuba algorithm.
+var a = BigInteger.ONE.shiftLeft(3000).subtract(BigInteger.ONE);
+var b = BigInteger.ONE.shiftLeft(2500).add(BigInteger.ONE);
+assertEquals(BigInteger.ONE.shiftLeft(5500).add(BigInteger.ONE.shiftLeft(3000))
+    .subtract(BigInteger.ONE.shiftLeft(2500)).subtract(BigInteger.ONE), a.multiply(b));
+
+// Test multiplication of numbers large enough for the Toom-Cook algorithm.
+var a = BigInteger.ONE.shiftLeft(20000).subtract(BigInteger.ONE);
+var b = BigInteger.ONE.shiftLeft(15000).add(BigInteger.THREE);
+assertEquals(BigInteger.ONE.shiftLeft(35000).add(BigInteger.THREE.shiftLeft(20000))
+    .subtract(BigInteger.ONE.shiftLeft(15000)).subtract(BigInteger.THREE), a.multiply(b));
+assertEquals(a.multiply(b), b.multiply(a));
+
+// Test multiplication of large numbers with different signs.
+assertEquals(a.multiply(b).negate(), a.negate().multiply(b));
+assertEquals(a.multiply(b), a.negate().multiply(b.negate()));
+
+// Test multiplication of a large number by a much smaller one.
+var zeroes = new Array(5000).join('0');
+var a = new BigInteger('9' + zeroes).add(new BigInteger(7));
+assertEquals(new BigInteger('111111111' + zeroes).add(new BigInteger(86419753)),
+    a.multiply(new BigInteger(12345679)));
+
+// Test that splitting a factor into parts gives the same product.
+var a = new BigInteger('31415926535897932384626433832795028841971693993751').pow(60);
+var b = new BigInteger('27182818284590452353602874713526624977572470936999').pow(50);
+var high = b.shiftRight(4000);
+var low = b.subtract(high.shiftLeft(4000));
+assertEquals(a.multiply(high).shiftLeft(4000).add(a.multiply(low)), a.multiply(b));
+
+// Test multiplication by zero.
+assertEquals(BigInteger.ZERO, a.multiply(BigInteger.ZERO));
+assertEquals(BigInteger.ZERO, BigInteger.ZERO.multiply(a.negate()));
+
+
+/** Test square() **/
+
+// Test the square of zero.
+assertEquals(BigInteger.ZERO, BigInteger.ZERO.square());
+
+// Test the square of small numbers.
+assertEquals(new BigInteger(144), new BigInteger(12).square());
+assertEquals(new BigInteger(144), new BigInteger(-12).square());
+assertEquals(new BigInteger('152415787532374345526722756'),
+    (new BigInteger('12345678901234')).square());
+
+// Test the square of numbers large enough for the Karatsuba and Toom-Cook algorithms.
+[1000, 5000, 30000].forEach(function(bits) {
+    var a = BigInteger.ONE.shiftLeft(bits).subtract(BigInteger.ONE);
+    assertEquals(BigInteger.ONE.shiftLeft(2 * bits).subtract(BigInteger.ONE.shiftLeft(bits + 1))
+        .add(BigInteger.ONE), a.square());
+    assertEquals(a.multiply(a), a.negate().square());
+});
+
+// Test that squaring matches multiplying by an equal, but distinct, number.
+var a = new BigInteger('31415926535897932384626433832795028841971693993751').pow(200);
+assertEquals(a.multiply(new BigInteger(a.toString())), a.square());
+
 
 /** Test divide(...) **/
 
@@ -329,6 +715,15 @@ assertEquals(new BigInteger(5714),
 assertEquals(new BigInteger(9),
     new BigInteger('20000000000000000').divide(new BigInteger('2000000000001234')));
 
+// Test division with a divisor too large for a native carry, but still below Number.MAX_INT.
+assertEquals(new BigInteger('927575603379007884952050'),
+    new BigInteger('241036955314249456937694487248525432827').divide(
+        new BigInteger('259856937198640')));
+
+// Test division where a digit of the quotient takes more than one trial digit to calculate.
+assertEquals(new BigInteger('397165212828160414018574920353341'),
+    new BigInteger('3332714975135578043095850911864494786296').divide(new BigInteger(8391256)));
+
 
 /** Test modulo(...) **/
 
@@ -358,6 +753,146 @@ assertEquals(new BigInteger('303232584402329371851252'),
         .modulo(new BigInteger('576388348357322834364352')));
 
 
+/** Test divideAndRemainder(...) **/
+
+// Test with a dividend smaller than the divisor.
+var result = new BigInteger(5).divideAndRemainder(new BigInteger(9));
+assertEquals(BigInteger.ZERO, result.quotient);
+assertEquals(new BigInteger(5), result.remainder);
+
+// Test with small numbers of all signs.
+var result = new BigInteger(-1234567890).divideAndRemainder(new BigInteger(4545454));
+assertEquals(new BigInteger(-271), result.quotient);
+assertEquals(new BigInteger(-2749856), result.remainder);
+var result = new BigInteger(1234567890).divideAndRemainder(new BigInteger(-4545454));
+assertEquals(new BigInteger(-271), result.quotient);
+assertEquals(new BigInteger(2749856), result.remainder);
+var result = new BigInteger(-1234567890).divideAndRemainder(new BigInteger(-4545454));
+assertEquals(new BigInteger(271), result.quotient);
+assertEquals(new BigInteger(-2749856), result.remainder);
+
+// Test with a divisor smaller than a single digit.
+var result = BigInteger.ONE.shiftLeft(200).divideAndRemainder(new BigInteger(12345));
+assertEquals(new BigInteger('130169140887727037305950756771256589916743863408893708813'),
+    result.quotient);
+assertEquals(new BigInteger(4891), result.remainder);
+
+// Test with large numbers.
+var result = new BigInteger('8326445093271549824986317')
+    .divideAndRemainder(new BigInteger('8235329764373457'));
+assertEquals(new BigInteger(1011063956), result.quotient);
+assertEquals(new BigInteger('2739574529170425'), result.remainder);
+var result = new BigInteger('-225094688443758234773948532')
+    .divideAndRemainder(new BigInteger('576388348357322834364352'));
+assertEquals(new BigInteger(-390), result.quotient);
+assertEquals(new BigInteger('-303232584402329371851252'), result.remainder);
+
+// Test that an exact division leaves a remainder of zero.
+var divisor = new BigInteger('8235329764373457');
+var result = new BigInteger('-8326445093271549824986317').multiply(divisor)
+    .divideAndRemainder(divisor);
+assertEquals(new BigInteger('-8326445093271549824986317'), result.quotient);
+assertTrue(result.remainder.isZero());
+
+
+/** Test divideFloor(...) **/
+
+// Test all combinations of signs.
+assertEquals(new BigInteger(2), new BigInteger(7).divideFloor(new BigInteger(3)));
+assertEquals(new BigInteger(-3), new BigInteger(-7).divideFloor(new BigInteger(3)));
+assertEquals(new BigInteger(-3), new BigInteger(7).divideFloor(new BigInteger(-3)));
+assertEquals(new BigInteger(2), new BigInteger(-7).divideFloor(new BigInteger(-3)));
+
+// Test exact division.
+assertEquals(new BigInteger(-2), new BigInteger(6).divideFloor(new BigInteger(-3)));
+
+// Test with large numbers.
+var large = BigInteger.ONE.shiftLeft(200).add(BigInteger.ONE);
+assertEquals(new BigInteger('130169140887727037305950756771256589916743863408893708813'),
+    large.divideFloor(new BigInteger(12345)));
+assertEquals(new BigInteger('-130169140887727037305950756771256589916743863408893708814'),
+    large.negate().divideFloor(new BigInteger(12345)));
+
+
+/** Test divideCeil(...) **/
+
+// Test all combinations of signs.
+assertEquals(new BigInteger(3), new BigInteger(7).divideCeil(new BigInteger(3)));
+assertEquals(new BigInteger(-2), new BigInteger(-7).divideCeil(new BigInteger(3)));
+assertEquals(new BigInteger(-2), new BigInteger(7).divideCeil(new BigInteger(-3)));
+assertEquals(new BigInteger(3), new BigInteger(-7).divideCeil(new BigInteger(-3)));
+
+// Test exact division.
+assertEquals(new BigInteger(-2), new BigInteger(-6).divideCeil(new BigInteger(3)));
+
+// Test with large numbers.
+assertEquals(new BigInteger('130169140887727037305950756771256589916743863408893708814'),
+    large.divideCeil(new BigInteger(12345)));
+assertEquals(new BigInteger('-130169140887727037305950756771256589916743863408893708813'),
+    large.divideCeil(new BigInteger(-12345)));
+
+
+/** Test divideEuclid(...) **/
+
+// Test all combinations of signs.
+assertEquals(new BigInteger(2), new BigInteger(7).divideEuclid(new BigInteger(3)));
+assertEquals(new BigInteger(-3), new BigInteger(-7).divideEuclid(new BigInteger(3)));
+assertEquals(new BigInteger(-2), new BigInteger(7).divideEuclid(new BigInteger(-3)));
+assertEquals(new BigInteger(3), new BigInteger(-7).divideEuclid(new BigInteger(-3)));
+
+// Test exact division.
+assertEquals(new BigInteger(2), new BigInteger(-6).divideEuclid(new BigInteger(-3)));
+
+// Test with large numbers.
+assertEquals(new BigInteger('-130169140887727037305950756771256589916743863408893708814'),
+    large.negate().divideEuclid(new BigInteger(12345)));
+assertEquals(new BigInteger('130169140887727037305950756771256589916743863408893708814'),
+    large.negate().divideEuclid(new BigInteger(-12345)));
+
+
+/** Test remainder(...) **/
+
+// Test all combinations of signs.
+assertEquals(new BigInteger(1), new BigInteger(7).remainder(new BigInteger(3)));
+assertEquals(new BigInteger(-1), new BigInteger(-7).remainder(new BigInteger(3)));
+assertEquals(new BigInteger(1), new BigInteger(7).remainder(new BigInteger(-3)));
+assertEquals(new BigInteger(-1), new BigInteger(-7).remainder(new BigInteger(-3)));
+
+// Test exact division.
+assertEquals(BigInteger.ZERO, new BigInteger(-6).remainder(new BigInteger(3)));
+
+// Test with large numbers.
+assertEquals(new BigInteger(4892), large.remainder(new BigInteger(-12345)));
+assertEquals(new BigInteger(-4892), large.negate().remainder(new BigInteger(12345)));
+
+
+/** Test mod(...) **/
+
+// Test all combinations of signs.
+assertEquals(new BigInteger(1), new BigInteger(7).mod(new BigInteger(3)));
+assertEquals(new BigInteger(2), new BigInteger(-7).mod(new BigInteger(3)));
+assertEquals(new BigInteger(1), new BigInteger(7).mod(new BigInteger(-3)));
+assertEquals(new BigInteger(2), new BigInteger(-7).mod(new BigInteger(-3)));
+
+// Test exact division.
+assertEquals(BigInteger.ZERO, new BigInteger(-6).mod(new BigInteger(-3)));
+
+// Test with large numbers.
+assertEquals(new BigInteger(4892), large.mod(new BigInteger(-12345)));
+assertEquals(new BigInteger(7453), large.negate().mod(new BigInteger(12345)));
+assertEquals(new BigInteger(7453), large.negate().mod(new BigInteger(-12345)));
+
+// Test that the quotient and remainder are consistent.
+[large, large.negate()].forEach(function(dividend) {
+    [new BigInteger(12345), new BigInteger(-12345)].forEach(function(divisor) {
+        assertEquals(dividend, dividend.divideEuclid(divisor).multiply(divisor)
+            .add(dividend.mod(divisor)));
+        assertEquals(dividend, dividend.divide(divisor).multiply(divisor)
+            .add(dividend.remainder(divisor)));
+    });
+});
+
+
 /** Test pow(...) **/
 
 // Test with non-zero base and exponent of zero.
@@ -376,6 +911,111 @@ assertEquals(new BigInteger('1014296832285033013205252695154427870000000'),
     (new BigInteger(1002030)).pow(7));
 
 
+/** Test sqrt() **/
+
+// Test with small numbers.
+assertEquals(BigInteger.ZERO, BigInteger.ZERO.sqrt());
+assertEquals(BigInteger.ONE, BigInteger.THREE.sqrt());
+assertEquals(BigInteger.TWO, new BigInteger(4).sqrt());
+assertEquals(new BigInteger(9), new BigInteger(99).sqrt());
+
+// Test with large numbers.
+assertEquals(new BigInteger('4294967296'), new BigInteger('18446744073709551616').sqrt());
+assertEquals(new BigInteger('4294967295'), new BigInteger('18446744073709551615').sqrt());
+assertEquals(new BigInteger('31622776601683793319988'),
+    new BigInteger('1000000000000000000000000000000000000000000000').sqrt());
+
+// Test with a negative number.
+assertThrows(function() {
+    new BigInteger(-4).sqrt();
+}, BigIntegerRangeError);
+
+
+/** Test sqrtRem() **/
+
+// Test with a perfect square.
+var result = new BigInteger(144).sqrtRem();
+assertEquals(new BigInteger(12), result.root);
+assertEquals(BigInteger.ZERO, result.remainder);
+
+// Test with a number that is not a perfect square.
+result = new BigInteger('18446744073709551615').sqrtRem();
+assertEquals(new BigInteger('4294967295'), result.root);
+assertEquals(new BigInteger('8589934590'), result.remainder);
+
+
+/** Test nthRoot(...) **/
+
+// Test with the first root.
+assertEquals(new BigInteger(-17), new BigInteger(-17).nthRoot(1));
+
+// Test with cube roots.
+assertEquals(new BigInteger(10), new BigInteger(1000).nthRoot(3));
+assertEquals(new BigInteger(9), new BigInteger(999).nthRoot(3));
+assertEquals(new BigInteger(-10), new BigInteger(-1000).nthRoot(3));
+assertEquals(new BigInteger(-9), new BigInteger(-999).nthRoot(3));
+
+// Test with large numbers.
+assertEquals(new BigInteger(1000000007), new BigInteger(1000000007).pow(7).nthRoot(7));
+assertEquals(new BigInteger(1000000006),
+    new BigInteger(1000000007).pow(7).subtract(BigInteger.ONE).nthRoot(7));
+assertEquals(BigInteger.TWO, BigInteger.ONE.shiftLeft(100).nthRoot(100));
+assertEquals(BigInteger.ONE, BigInteger.ONE.shiftLeft(100).nthRoot(101));
+
+// Test with invalid degrees and an even root of a negative number.
+assertThrows(function() {
+    BigInteger.TEN.nthRoot(0);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TEN.nthRoot(2.5);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TEN.nthRoot('2');
+}, BigIntegerTypeError);
+assertThrows(function() {
+    new BigInteger(-16).nthRoot(4);
+}, BigIntegerRangeError);
+
+
+/** Test isPerfectSquare() **/
+
+// Test with small numbers.
+assertTrue(BigInteger.ZERO.isPerfectSquare());
+assertTrue(BigInteger.ONE.isPerfectSquare());
+assertFalse(BigInteger.TWO.isPerfectSquare());
+assertTrue(new BigInteger(49).isPerfectSquare());
+assertFalse(new BigInteger(-49).isPerfectSquare());
+
+// Test with large numbers.
+assertTrue(new BigInteger('18446744073709551557').square().isPerfectSquare());
+assertFalse(new BigInteger('18446744073709551557').square().add(BigInteger.ONE).isPerfectSquare());
+assertFalse(new BigInteger('18446744073709551557').square().subtract(BigInteger.ONE)
+    .isPerfectSquare());
+
+
+/** Test isPerfectPower() **/
+
+// Test with small numbers.
+assertTrue(BigInteger.ZERO.isPerfectPower());
+assertTrue(BigInteger.ONE.isPerfectPower());
+assertFalse(BigInteger.TWO.isPerfectPower());
+assertTrue(new BigInteger(8).isPerfectPower());
+assertTrue(new BigInteger(36).isPerfectPower());
+assertFalse(new BigInteger(72).isPerfectPower());
+
+// Test with negative numbers, which must be odd powers.
+assertTrue(new BigInteger(-1).isPerfectPower());
+assertTrue(new BigInteger(-8).isPerfectPower());
+assertFalse(new BigInteger(-16).isPerfectPower());
+assertTrue(new BigInteger(-64).isPerfectPower());
+
+// Test with large numbers.
+assertTrue(new BigInteger(1000000007).pow(5).isPerfectPower());
+assertFalse(new BigInteger(1000000007).pow(5).multiply(BigInteger.TWO).isPerfectPower());
+assertTrue(BigInteger.ONE.shiftLeft(97).isPerfectPower());
+assertTrue(BigInteger.ONE.shiftLeft(97).negate().isPerfectPower());
+
+
 /** Test modPow(...) **/
 
 // Test with a base of zero. Result should be 0 unless the exponent is 0.
@@ -406,6 +1046,470 @@ assertEquals(new BigInteger('6527423847839304886258924072'),
         .modPow(new BigInteger('66657859236735983457291912483475345322'),
             new BigInteger('98870002362348234612002347384')));
 
+// Test with a negative exponent.
+assertEquals(new BigInteger(4), new BigInteger(3).modPow(new BigInteger(-1), new BigInteger(11)));
+assertEquals(new BigInteger(5), new BigInteger(3).modPow(new BigInteger(-2), new BigInteger(11)));
+assertEquals(new BigInteger('4547316902314206724760893'),
+    (new BigInteger('2430957173853042962243656')).modPow(new BigInteger('-987342561893547832'),
+        new BigInteger('5983475872376235874569841')));
+
+// Test that a negative base is reduced modulo the modulus for every exponent.
+assertEquals(new BigInteger(3), new BigInteger(-2).modPow(BigInteger.ONE, new BigInteger(5)));
+assertEquals(new BigInteger(4), new BigInteger(-2).modPow(BigInteger.TWO, new BigInteger(5)));
+assertEquals(new BigInteger(2), new BigInteger(-2).modPow(BigInteger.THREE, new BigInteger(5)));
+assertEquals(BigInteger.ONE, new BigInteger(-2).modPow(BigInteger.ZERO, new BigInteger(5)));
+assertEquals(new BigInteger(2), new BigInteger(-2).modPow(BigInteger.NEGATIVE_ONE,
+    new BigInteger(5)));
+assertEquals(BigInteger.ONE, new BigInteger(-2).modPow(BigInteger.ONE, new BigInteger(5))
+    .multiply(new BigInteger(-2).modPow(BigInteger.NEGATIVE_ONE, new BigInteger(5)))
+    .modulo(new BigInteger(5)));
+assertEquals(new BigInteger(3), new BigInteger(-2).modPow(BigInteger.ONE, new BigInteger(-5)));
+
+// Test that a negative exponent throws if the base has no inverse.
+assertThrows(function() {
+    new BigInteger(6).modPow(new BigInteger(-1), new BigInteger(9));
+}, BigIntegerNoInverseError);
+
+
+/** Test modPowSecure(...) **/
+
+// Test that the results match modPow.
+assertEquals(new BigInteger('905570691752001406787623'),
+    (new BigInteger('2430957173853042962243656')).modPowSecure(new BigInteger('987342561893547832'),
+        new BigInteger('5983475872376235874569843')));
+assertEquals(new BigInteger(2976), new BigInteger(1234).modPowSecure(new BigInteger(100),
+    new BigInteger(5675)));
+
+// Test with an exponent of zero and an exponent using every scanned bit.
+assertEquals(BigInteger.ONE, new BigInteger(1234).modPowSecure(BigInteger.ZERO,
+    new BigInteger(5675)));
+var modulus = new BigInteger('170141183460469231731687303715884105727');
+var exponent = modulus.subtract(BigInteger.ONE);
+assertEquals(BigInteger.ONE, new BigInteger(3).modPowSecure(exponent, modulus));
+assertEquals(BigInteger.ONE, new BigInteger(3).modPowSecure(exponent, modulus, 200));
+
+// Test with an exponent that is longer than the modulus.
+var longExponent = BigInteger.ONE.shiftLeft(200).add(new BigInteger(12345));
+assertEquals(new BigInteger(5).modPow(longExponent, new BigInteger(1000003)),
+    new BigInteger(5).modPowSecure(longExponent, new BigInteger(1000003)));
+assertEquals(new BigInteger(5).modPow(longExponent, new BigInteger(1000003)),
+    new BigInteger(5).modPowSecure(longExponent, new BigInteger(1000003), 256));
+
+// Test that a negative base is reduced into the range of the modulus.
+assertEquals(new BigInteger(8), new BigInteger(-3).modPowSecure(BigInteger.ONE,
+    new BigInteger(11)));
+
+// Test with a base that is a multiple of the modulus.
+assertEquals(BigInteger.ZERO, new BigInteger(22).modPowSecure(BigInteger.TEN, new BigInteger(11)));
+
+// Test with invalid arguments.
+assertThrows(function() {
+    BigInteger.TWO.modPowSecure(new BigInteger(-1), new BigInteger(11));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TWO.modPowSecure(BigInteger.TEN, new BigInteger(12));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TWO.modPowSecure(BigInteger.TEN, BigInteger.ONE);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TWO.modPowSecure(new BigInteger(16), new BigInteger(11), 4);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TWO.modPowSecure(10, new BigInteger(11));
+}, BigIntegerTypeError);
+
+
+/** Test ModContext(...) **/
+
+// Test with an odd modulus, which uses Montgomery multiplication.
+var context = new BigInteger.ModContext(new BigInteger('5983475872376235874569843'));
+assertTrue(context.montgomery);
+assertEquals(new BigInteger('905570691752001406787623'), context.pow(
+    new BigInteger('2430957173853042962243656'), new BigInteger('987342561893547832')));
+assertEquals(new BigInteger('2100190991436388188678091'), context.mul(
+    new BigInteger('2430957173853042962243656'), new BigInteger('987342561893547832')));
+assertEquals(new BigInteger('2459169695068827890886619'),
+    context.sqr(new BigInteger('2430957173853042962243656')));
+
+// Test with an even modulus, which uses Barrett reduction.
+context = new BigInteger.ModContext(new BigInteger('673578234651248345983472834'));
+assertFalse(context.montgomery);
+assertEquals(new BigInteger('350736991726113048455882751'), context.pow(
+    new BigInteger('19835634509568237234940045'), new BigInteger('8937526649545345000003247328')));
+assertEquals(new BigInteger('258942017329891040326357490'), context.mul(
+    new BigInteger('19835634509568237234940045'), new BigInteger('8937526649545345000003247328')));
+assertEquals(new BigInteger('86340861101688127797426823'),
+    context.sqr(new BigInteger('19835634509568237234940045')));
+
+// Test with arguments that are negative or larger than the modulus.
+context = new BigInteger.ModContext(new BigInteger(11));
+assertEquals(new BigInteger(9), context.mul(new BigInteger(-3), new BigInteger(8)));
+assertEquals(new BigInteger(3), context.reduce(new BigInteger(25)));
+assertEquals(new BigInteger(8), context.reduce(new BigInteger(-3)));
+
+// Test addition and subtraction, which wrap around the modulus.
+assertEquals(new BigInteger(1), context.add(new BigInteger(5), new BigInteger(7)));
+assertEquals(new BigInteger(9), context.sub(new BigInteger(5), new BigInteger(7)));
+assertEquals(new BigInteger(2), context.sub(new BigInteger(-5), new BigInteger(4)));
+
+// Test inverses, and powers with negative and zero exponents.
+assertEquals(new BigInteger(4), context.inv(BigInteger.THREE));
+assertEquals(new BigInteger(5), context.pow(BigInteger.THREE, new BigInteger(-2)));
+assertEquals(BigInteger.ONE, context.pow(BigInteger.THREE, BigInteger.ZERO));
+assertEquals(BigInteger.ZERO, new BigInteger.ModContext(BigInteger.ONE).pow(BigInteger.THREE,
+    BigInteger.ZERO));
+assertThrows(function() {
+    new BigInteger.ModContext(new BigInteger(9)).inv(new BigInteger(6));
+}, BigIntegerNoInverseError);
+
+// Test that powers match repeated multiplication, with exponents long enough to use each window
+// size.
+[new BigInteger('170141183460469231731687303715884105727'),
+        BigInteger.ONE.shiftLeft(127)].forEach(function(modulus) {
+    context = new BigInteger.ModContext(modulus);
+    var base = new BigInteger('123456789123456789123456789');
+    [1, 2, 30, 100, 300, 700].forEach(function(bits) {
+        var exponent = BigInteger.ONE.shiftLeft(bits).subtract(new BigInteger(12345));
+        if (exponent.negative)
+            exponent = exponent.negate();
+        var expected = BigInteger.ONE;
+        var power = base;
+        for (var i = 0; i < exponent.bitLength(); i++) {
+            if (exponent.testBit(i))
+                expected = expected.multiply(power).modulo(modulus);
+            power = power.square().modulo(modulus);
+        }
+        assertEquals(expected, context.pow(base, exponent));
+    });
+});
+
+// Test with invalid moduli.
+assertThrows(function() {
+    new BigInteger.ModContext(BigInteger.ZERO);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger.ModContext(new BigInteger(-7));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger.ModContext(7);
+}, BigIntegerTypeError);
+
+
+/** Test modInverse(...) **/
+
+// Test with small numbers.
+assertEquals(new BigInteger(4), new BigInteger(3).modInverse(new BigInteger(11)));
+assertEquals(new BigInteger(1969), new BigInteger(42).modInverse(new BigInteger(2017)));
+
+// Test with a negative number.
+assertEquals(new BigInteger(7), new BigInteger(-3).modInverse(new BigInteger(11)));
+
+// Test that the sign of the modulus is ignored.
+assertEquals(new BigInteger(4), new BigInteger(3).modInverse(new BigInteger(-11)));
+
+// Test that every number has an inverse of zero modulo one.
+assertEquals(BigInteger.ZERO, new BigInteger(5).modInverse(BigInteger.ONE));
+
+// Test with large numbers.
+assertEquals(new BigInteger('1845445980928092583917042'),
+    new BigInteger('2430957173853042962243656').modInverse(
+        new BigInteger('5983475872376235874569841')));
+
+// Test numbers that are not coprime.
+assertThrows(function() {
+    new BigInteger(6).modInverse(new BigInteger(9));
+}, BigIntegerNoInverseError);
+assertThrows(function() {
+    new BigInteger('2430957173853042962243656').modInverse(
+        new BigInteger('5983475872376235874569843'));
+}, BigIntegerNoInverseError);
+assertThrows(function() {
+    BigInteger.ZERO.modInverse(new BigInteger(7));
+}, BigIntegerNoInverseError);
+
+
+/** Test jacobi(...) **/
+
+// Test with small numbers.
+assertEquals(1, new BigInteger(2).jacobi(new BigInteger(7)));
+assertEquals(-1, new BigInteger(3).jacobi(new BigInteger(7)));
+assertEquals(0, new BigInteger(6).jacobi(new BigInteger(9)));
+assertEquals(1, new BigInteger(2).jacobi(new BigInteger(15)));
+assertEquals(1, new BigInteger(5).jacobi(BigInteger.ONE));
+
+// Test with a negative number.
+assertEquals(-1, new BigInteger(-1).jacobi(new BigInteger(7)));
+assertEquals(1, new BigInteger(-1).jacobi(new BigInteger(13)));
+
+// Test with large numbers.
+var mersenne = new BigInteger('170141183460469231731687303715884105727');
+assertEquals(1, new BigInteger('1000000000000000000000000').jacobi(mersenne));
+assertEquals(-1, new BigInteger(3).jacobi(mersenne));
+
+// Test with invalid bottom arguments.
+assertThrows(function() {
+    BigInteger.ONE.jacobi(new BigInteger(8));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.jacobi(new BigInteger(-7));
+}, BigIntegerRangeError);
+
+
+/** Test legendre(...) **/
+
+// Test with quadratic residues and non-residues.
+assertEquals(1, new BigInteger(4).legendre(new BigInteger(11)));
+assertEquals(1, new BigInteger(5).legendre(new BigInteger(11)));
+assertEquals(-1, new BigInteger(2).legendre(new BigInteger(11)));
+assertEquals(0, new BigInteger(22).legendre(new BigInteger(11)));
+
+// Test with a modulus that is odd but not prime, which is not checked.
+assertEquals(-1, new BigInteger(7).legendre(new BigInteger(15)));
+
+// Test with a modulus that is not odd and positive.
+assertThrows(function() {
+    BigInteger.ONE.legendre(BigInteger.TWO);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.legendre(new BigInteger(-11));
+}, BigIntegerRangeError);
+
+
+/** Test kronecker(...) **/
+
+// Test with an odd bottom argument, for which it is the Jacobi symbol.
+assertEquals(-1, new BigInteger(3).kronecker(new BigInteger(7)));
+
+// Test with an even bottom argument.
+assertEquals(1, new BigInteger(7).kronecker(BigInteger.TWO));
+assertEquals(-1, new BigInteger(3).kronecker(BigInteger.TWO));
+assertEquals(-1, new BigInteger(-3).kronecker(BigInteger.TWO));
+assertEquals(0, new BigInteger(4).kronecker(new BigInteger(6)));
+assertEquals(-1, new BigInteger(7).kronecker(BigInteger.TEN));
+
+// Test with negative bottom arguments.
+assertEquals(-1, new BigInteger(-1).kronecker(new BigInteger(-1)));
+assertEquals(1, new BigInteger(1).kronecker(new BigInteger(-1)));
+assertEquals(-1, new BigInteger(-5).kronecker(new BigInteger(-3)));
+
+// Test with a bottom argument of zero.
+assertEquals(1, new BigInteger(-1).kronecker(BigInteger.ZERO));
+assertEquals(0, new BigInteger(2).kronecker(BigInteger.ZERO));
+
+
+/** Test modSqrt(...) **/
+
+// Test with a prime that is 3 modulo 4.
+assertEquals(new BigInteger(2), new BigInteger(4).modSqrt(new BigInteger(7)));
+assertEquals(new BigInteger(3), new BigInteger(2).modSqrt(new BigInteger(7)));
+
+// Test with a prime that is 1 modulo 4, for Tonelli-Shanks.
+assertEquals(new BigInteger(6), new BigInteger(10).modSqrt(new BigInteger(13)));
+assertEquals(new BigInteger(4), new BigInteger(-1).modSqrt(new BigInteger(17)));
+
+// Test with a prime that is 1 modulo a large power of two, for Cipolla's algorithm.
+var p = new BigInteger('18446744069414584321');
+var root = new BigInteger(1234567891011);
+assertEquals(root, root.square().mod(p).modSqrt(p));
+assertEquals(root, p.subtract(root).square().mod(p).modSqrt(p));
+
+// Test by decompressing the generator of the P-256 curve, y ^ 2 = x ^ 3 - 3 * x + b.
+var p256 = new BigInteger(
+    '115792089210356248762697446949407573530086143415290314195533631308867097853951');
+var b = new BigInteger(
+    '41058363725152142129326129780047268409114441015993725554835256314039467401291');
+var x = new BigInteger(
+    '48439561293906451759052585252797914202762949526041747995844080717082404635286');
+assertEquals(new BigInteger(
+    '36134250956749795798585127919587881956611106672985015071877198253568414405109'),
+    x.pow(3).subtract(x.multiply(BigInteger.THREE)).add(b).modSqrt(p256));
+
+// Test with zero, multiples of the modulus and a modulus of two.
+assertEquals(BigInteger.ZERO, BigInteger.ZERO.modSqrt(new BigInteger(13)));
+assertEquals(BigInteger.ZERO, new BigInteger(26).modSqrt(new BigInteger(13)));
+assertEquals(BigInteger.ONE, new BigInteger(3).modSqrt(BigInteger.TWO));
+
+// Test with a non-residue.
+try {
+    new BigInteger(3).modSqrt(new BigInteger(7));
+    throw 'Expected a non-residue to throw.';
+} catch (error) {
+    assertTrue(error instanceof BigIntegerNoSquareRootError);
+    assertEquals(new BigInteger(3), error.value);
+    assertEquals(new BigInteger(7), error.modulus);
+}
+
+// Test with a modulus that is not prime, which is not checked, but never gives a wrong root.
+assertEquals(BigInteger.ONE, BigInteger.ONE.modSqrt(new BigInteger(15)));
+assertThrows(function() {
+    new BigInteger(4).modSqrt(new BigInteger(15));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.modSqrt(new BigInteger(9));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(6).modSqrt(new BigInteger(15));
+}, BigIntegerRangeError);
+
+// Test with a modulus that is the square of a large prime, which has no non-residues.
+var square = new BigInteger('2305843009213693951').square();
+assertThrows(function() {
+    BigInteger.THREE.modSqrt(square);
+}, BigIntegerRangeError);
+
+// Test with a modulus that is even or too small.
+assertThrows(function() {
+    BigInteger.ONE.modSqrt(new BigInteger(16));
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.modSqrt(BigInteger.ONE);
+}, BigIntegerRangeError);
+
+
+/** Test crt(...) **/
+
+// Test with coprime moduli.
+var result = BigInteger.crt([new BigInteger(2), new BigInteger(3), new BigInteger(2)],
+    [new BigInteger(3), new BigInteger(5), new BigInteger(7)]);
+assertEquals(new BigInteger(23), result.value);
+assertEquals(new BigInteger(105), result.modulus);
+
+// Test with negative residues and residues larger than the moduli.
+result = BigInteger.crt([new BigInteger(-1), new BigInteger(13)],
+    [new BigInteger(4), new BigInteger(9)]);
+assertEquals(new BigInteger(31), result.value);
+assertEquals(new BigInteger(36), result.modulus);
+
+// Test by reconstructing a large number from its residues modulo large primes.
+var moduli = [new BigInteger('18446744073709551557'), new BigInteger(1000000007),
+    new BigInteger('170141183460469231731687303715884105727'), new BigInteger(1000000009)];
+var x = new BigInteger('123456789012345678901234567890123456789012345678901234567890');
+result = BigInteger.crt(moduli.map(function(m) { return x.mod(m); }), moduli);
+assertEquals(x, result.value);
+
+// Test with moduli that are not coprime.
+result = BigInteger.crt([new BigInteger(3), new BigInteger(5)],
+    [new BigInteger(6), new BigInteger(8)]);
+assertEquals(new BigInteger(21), result.value);
+assertEquals(new BigInteger(24), result.modulus);
+result = BigInteger.crt([new BigInteger(7), new BigInteger(7), new BigInteger(1)],
+    [new BigInteger(12), new BigInteger(18), new BigInteger(2)]);
+assertEquals(new BigInteger(7), result.value);
+assertEquals(new BigInteger(36), result.modulus);
+
+// Test with no congruences, which every number satisfies.
+result = BigInteger.crt([], []);
+assertEquals(BigInteger.ZERO, result.value);
+assertEquals(BigInteger.ONE, result.modulus);
+
+// Test with an inconsistent system.
+try {
+    BigInteger.crt([new BigInteger(1), new BigInteger(2)], [new BigInteger(4), new BigInteger(6)]);
+    throw 'Expected an inconsistent system to throw.';
+} catch (error) {
+    assertTrue(error instanceof BigIntegerNoSolutionError);
+    assertEquals('The congruences x = 1 (mod 4), x = 2 (mod 6) have no solution.', error.message);
+    assertEquals(new BigInteger(6), error.moduli[1]);
+}
+
+// Test with invalid arguments.
+assertThrows(function() {
+    BigInteger.crt([BigInteger.ONE], [BigInteger.TWO, BigInteger.THREE]);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.crt([BigInteger.ONE], [BigInteger.ZERO]);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.crt([1], [BigInteger.TWO]);
+}, BigIntegerTypeError);
+assertThrows(function() {
+    BigInteger.crt(BigInteger.ONE, BigInteger.TWO);
+}, BigIntegerTypeError);
+
+
+/** Test gcd(...) **/
+
+// Test with zero and zero.
+assertEquals(BigInteger.ZERO, BigInteger.ZERO.gcd(BigInteger.ZERO));
+
+// Test with zero and a negative number.
+assertEquals(new BigInteger(12), BigInteger.ZERO.gcd(new BigInteger(-12)));
+
+// Test with small numbers.
+assertEquals(new BigInteger(6), new BigInteger(48).gcd(new BigInteger(18)));
+
+// Test with coprime numbers.
+assertEquals(BigInteger.ONE, new BigInteger(35).gcd(new BigInteger(64)));
+
+// Test that the result is positive when either number is negative.
+assertEquals(new BigInteger(6), new BigInteger(-48).gcd(new BigInteger(18)));
+assertEquals(new BigInteger(6), new BigInteger(-48).gcd(new BigInteger(-18)));
+
+// Test with large numbers.
+assertEquals(new BigInteger('8391256'), new BigInteger('3332714975135578043095850911864494786296')
+    .gcd(new BigInteger('75521304')));
+assertEquals(new BigInteger('1234567890123456789'),
+    new BigInteger('1524157875323883675034293577503139767765142508889')
+        .gcd(new BigInteger('121932631137021795224964898618678204540743')));
+
+
+/** Test extendedGcd(...) **/
+
+// Test with zero and zero.
+var result = BigInteger.ZERO.extendedGcd(BigInteger.ZERO);
+assertEquals(BigInteger.ZERO, result.gcd);
+assertEquals(BigInteger.ZERO, result.x);
+assertEquals(BigInteger.ZERO, result.y);
+
+// Test with a negative number and zero.
+result = new BigInteger(-7).extendedGcd(BigInteger.ZERO);
+assertEquals(new BigInteger(7), result.gcd);
+assertEquals(BigInteger.NEGATIVE_ONE, result.x);
+assertEquals(BigInteger.ZERO, result.y);
+
+// Test with small numbers.
+result = new BigInteger(240).extendedGcd(new BigInteger(46));
+assertEquals(BigInteger.TWO, result.gcd);
+assertEquals(BigInteger.TWO, new BigInteger(240).multiply(result.x)
+    .add(new BigInteger(46).multiply(result.y)));
+
+// Test with negative numbers.
+result = new BigInteger(-240).extendedGcd(new BigInteger(-46));
+assertEquals(BigInteger.TWO, result.gcd);
+assertEquals(BigInteger.TWO, new BigInteger(-240).multiply(result.x)
+    .add(new BigInteger(-46).multiply(result.y)));
+
+// Test with large numbers.
+var a = new BigInteger('69829012358712108118745547');
+var b = new BigInteger('206317933859');
+result = a.extendedGcd(b);
+assertEquals(BigInteger.ONE, result.gcd);
+assertEquals(BigInteger.ONE, a.multiply(result.x).add(b.multiply(result.y)));
+
+a = new BigInteger('-43516277779677627770');
+b = new BigInteger('292831721440');
+result = a.extendedGcd(b);
+assertEquals(new BigInteger(2690), result.gcd);
+assertEquals(new BigInteger(2690), a.multiply(result.x).add(b.multiply(result.y)));
+
+
+/** Test lcm(...) **/
+
+// Test with zero.
+assertEquals(BigInteger.ZERO, BigInteger.ZERO.lcm(new BigInteger(5)));
+assertEquals(BigInteger.ZERO, new BigInteger(5).lcm(BigInteger.ZERO));
+
+// Test with small numbers.
+assertEquals(new BigInteger(36), new BigInteger(12).lcm(new BigInteger(18)));
+
+// Test that the result is positive when either number is negative.
+assertEquals(new BigInteger(36), new BigInteger(-12).lcm(new BigInteger(18)));
+assertEquals(new BigInteger(36), new BigInteger(-12).lcm(new BigInteger(-18)));
+
+// Test with large numbers.
+assertEquals(new BigInteger('29994434776220202387862658206780453076664'),
+    new BigInteger('3332714975135578043095850911864494786296').lcm(new BigInteger('75521304')));
 
 /** Test isEven() **/
 
@@ -518,7 +1622,989 @@ assertTrue((new BigInteger('35742549198872617291353508656626642567')).isPrime())
 assertTrue((new BigInteger('393050634124102232869567034555427371542904833')).isPrime());
 assertTrue((new BigInteger('359334085968622831041960188598043661065388726959079837')).isPrime());
 
-console.log('Testing complete.');
+// Test with multiples of three.
+assertFalse(new BigInteger(9).isPrime());
+assertFalse(new BigInteger(15).isPrime());
+assertFalse(new BigInteger('3').multiply(new BigInteger('18446744073709551557')).isPrime());
+
+// Test with squares of primes around the largest prime used for trial division.
+assertFalse(new BigInteger(1999 * 1999).isPrime());
+assertFalse(new BigInteger(2003 * 2003).isPrime());
+assertFalse(new BigInteger(2003 * 2011).isPrime());
+
+// Test with every number up to 100.
+var primesTo100 = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73,
+    79, 83, 89, 97];
+for (var i = 0; i <= 100; i++)
+    assertEquals(primesTo100.indexOf(i) !== -1, new BigInteger(i).isPrime());
+
+// Test that 5 is prime.
+assertTrue(new BigInteger(5).isPrime());
+
+// Test with a square of a prime.
+assertFalse(new BigInteger(25).isPrime());
+
+// Test with a Carmichael number.
+assertFalse(new BigInteger(561).isPrime());
+
+// Test with strong pseudoprimes to the first few prime bases, which are below the deterministic
+// limit.
+assertFalse(new BigInteger(2047).isPrime());
+assertFalse(new BigInteger(3215031751).isPrime());
+assertFalse(new BigInteger('3825123056546413051').isPrime());
+assertFalse(new BigInteger('318665857834031151167461').isPrime());
+
+// Test with strong Lucas pseudoprimes.
+assertFalse(new BigInteger(5459).isPrime());
+assertFalse(new BigInteger(5777).isPrime());
+
+// Test with the deterministic limit, which is a strong pseudoprime to every base up to 41.
+assertFalse(BigInteger.DETERMINISTIC_PRIMALITY_LIMIT.isPrime());
+
+// Test with the largest 64-bit prime and the next number up to it.
+assertTrue(new BigInteger('18446744073709551557').isPrime());
+assertFalse(new BigInteger('18446744073709551559').isPrime());
+
+// Test with a square of a prime above the deterministic limit.
+assertFalse(new BigInteger(4398042316799).square().isPrime());
+
+// Test with a product of two primes above the deterministic limit.
+assertFalse(new BigInteger('18014398241046527').multiply(new BigInteger('18446744082299486207'))
+    .isPrime());
+
+// Test that no random witnesses are used by default.
+assertTrue(new BigInteger('170141183460469231731687303715884105727').isPrime({
+    rng: function() {
+        throw 'Expected no random witnesses.';
+    }
+}));
+
+// Test that the primality certainty determines the number of random witnesses.
+var randomCalls = 0;
+assertTrue(new BigInteger('170141183460469231731687303715884105727').isPrime({
+    primalityCertainty: 20,
+    rng: function() {
+        randomCalls++;
+        return 12345;
+    }
+}));
+assertTrue(randomCalls >= 10);
+
+// Test with an invalid primality certainty.
+assertThrows(function() {
+    new BigInteger(7).isPrime({primalityCertainty: -1});
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(7).isPrime({primalityCertainty: '80'});
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(7).isPrime({witnessLoops: 0});
+}, BigIntegerRangeError);
+
+
+/** Test nextProbablePrime() **/
+
+// Test with numbers below two.
+assertEquals(BigInteger.TWO, new BigInteger(-10).nextProbablePrime());
+assertEquals(BigInteger.TWO, BigInteger.ONE.nextProbablePrime());
+
+// Test with small primes.
+assertEquals(BigInteger.THREE, BigInteger.TWO.nextProbablePrime());
+assertEquals(new BigInteger(5), BigInteger.THREE.nextProbablePrime());
+
+// Test with even and odd composites.
+assertEquals(new BigInteger(127), new BigInteger(114).nextProbablePrime());
+assertEquals(new BigInteger(127), new BigInteger(115).nextProbablePrime());
+
+// Test across the largest prime used for sieving.
+assertEquals(new BigInteger(2003), new BigInteger(1999).nextProbablePrime());
+
+// Test with a large number.
+assertEquals(new BigInteger('18446744073709551629'),
+    new BigInteger('18446744073709551616').nextProbablePrime());
+assertEquals(new BigInteger('170141183460469231731687303715884105757'),
+    new BigInteger('170141183460469231731687303715884105727').nextProbablePrime());
+
+
+/** Test previousProbablePrime() **/
+
+// Test with small numbers.
+assertEquals(BigInteger.TWO, BigInteger.THREE.previousProbablePrime());
+assertEquals(BigInteger.THREE, new BigInteger(4).previousProbablePrime());
+assertEquals(BigInteger.THREE, new BigInteger(5).previousProbablePrime());
+
+// Test across the largest prime used for sieving.
+assertEquals(new BigInteger(1999), new BigInteger(2003).previousProbablePrime());
+
+// Test with large numbers.
+assertEquals(new BigInteger('18446744073709551557'),
+    new BigInteger('18446744073709551616').previousProbablePrime());
+assertEquals(new BigInteger('170141183460469231731687303715884105727'),
+    new BigInteger('170141183460469231731687303715884105757').previousProbablePrime());
+
+// Test that numbers up to two have no previous prime.
+assertThrows(function() {
+    BigInteger.TWO.previousProbablePrime();
+}, BigIntegerRangeError);
+
+
+/** Test randomPrime(...) **/
+
+// Test that primes have the number of bits.
+for (var bits = 2; bits <= 10; bits++) {
+    var prime = BigInteger.randomPrime(bits);
+    assertEquals(bits, prime.bitLength());
+    assertTrue(prime.isPrime());
+}
+var prime = BigInteger.randomPrime(160);
+assertEquals(160, prime.bitLength());
+assertTrue(prime.isPrime());
+
+// Test that safe primes have a prime half.
+for (var bits = 3; bits <= 10; bits++) {
+    var prime = BigInteger.randomPrime(bits, {safe: true});
+    assertEquals(bits, prime.bitLength());
+    assertTrue(prime.isPrime());
+    assertTrue(prime.shiftRight(1).isPrime());
+}
+
+// Test that every safe prime with 12 bits can be generated, by starting the search at every
+// multiple of four in the range.
+var nextStart = 0;
+var stepThroughRange = function() {
+    var value = nextStart << 15;
+    nextStart = (nextStart + 4) % 2048;
+    return value;
+};
+var found = {};
+for (var i = 0; i < 512; i++)
+    found[BigInteger.randomPrime(12, {safe: true, rng: stepThroughRange}).toString()] = true;
+assertEquals('2063,2099,2207,2447,2459,2579,2819,2879,2903,2963,2999,3023,3119,3167,3203,3467,'
+    + '3623,3779,3803,3863,3947,4007,4079', Object.keys(found).sort().join());
+
+// Test that both safe primes with 3 bits can be generated.
+found = {};
+var rng = BigInteger.seededRandomSource(1);
+for (var i = 0; i < 50; i++)
+    found[BigInteger.randomPrime(3, {safe: true, rng: rng}).toString()] = true;
+assertEquals('5,7', Object.keys(found).sort().join());
+
+var prime = BigInteger.randomPrime(96, {safe: true});
+assertEquals(96, prime.bitLength());
+assertTrue(prime.isPrime());
+assertTrue(prime.shiftRight(1).isPrime());
+
+// Test that a seeded source of random numbers gives the same prime.
+assertEquals(BigInteger.randomPrime(128, {rng: BigInteger.seededRandomSource(7)}),
+    BigInteger.randomPrime(128, {rng: BigInteger.seededRandomSource(7)}));
+
+// Test with invalid numbers of bits.
+assertThrows(function() {
+    BigInteger.randomPrime(1);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.randomPrime(2, {safe: true});
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.randomPrime(10.5);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.randomPrime('10');
+}, BigIntegerTypeError);
+
+
+/** Test factor(...) **/
+
+// Test with one and minus one, which have no prime factors.
+assertEquals('', factorizationToString(BigInteger.ONE.factor()));
+assertEquals('', factorizationToString(new BigInteger(-1).factor()));
+assertTrue(BigInteger.ONE.factor().complete);
+
+// Test with small numbers, which are factored by trial division.
+assertEquals('2^3 3^2 5', factorizationToString(new BigInteger(360).factor()));
+assertEquals('2^3 3^2 5', factorizationToString(new BigInteger(-360).factor()));
+assertEquals('71 839 1471 6857', factorizationToString(new BigInteger(600851475143).factor()));
+assertEquals('1999^2', factorizationToString(new BigInteger(1999 * 1999).factor()));
+
+// Test with a prime.
+assertEquals('18446744073709551557',
+    factorizationToString(new BigInteger('18446744073709551557').factor()));
+
+// Test with products of large primes, which are found by Pollard's rho algorithm.
+var rng = BigInteger.seededRandomSource(18);
+assertEquals('274177 67280421310721',
+    factorizationToString(new BigInteger('18446744073709551617').factor({rng: rng})));
+assertEquals('193707721 761838257287',
+    factorizationToString(new BigInteger('147573952589676412927').factor({rng: rng})));
+assertEquals('2^10 3^5 1000000007^2', factorizationToString(new BigInteger(1000000007).square()
+    .multiply(new BigInteger(248832)).factor({rng: rng})));
+
+// Test with a perfect power of a product of large primes.
+assertEquals('1000000007^3 1000000009^3',
+    factorizationToString(new BigInteger('1000000016000000063').pow(3).factor({rng: rng})));
+
+// Test with the elliptic curve method alone.
+assertEquals('274177 67280421310721', factorizationToString(
+    new BigInteger('18446744073709551617').factor({rhoIterations: 0, rng: rng})));
+
+// Test with every stage but trial division.
+assertEquals('2^10 3^5', factorizationToString(
+    new BigInteger(248832).factor({trialDivisionLimit: 0, rng: rng})));
+
+// Test that a partial factorization is returned when the budgets run out.
+var factors = new BigInteger('12000000192000000756').factor({rhoIterations: 0, ecmCurves: 0});
+assertEquals('2^2 3', factorizationToString(factors));
+assertFalse(factors.complete);
+assertEquals(new BigInteger('1000000016000000063'), factors.remainder);
+
+// Test with zero and invalid budgets.
+assertThrows(function() {
+    BigInteger.ZERO.factor();
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TEN.factor({rhoIterations: -1});
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TEN.factor({ecmCurves: 2.5});
+}, BigIntegerRangeError);
+
+// Test the largest budgets that are sieved for primes.
+assertEquals('2 5', factorizationToString(BigInteger.TEN.factor({trialDivisionLimit: 1048576})));
+assertThrows(function() {
+    BigInteger.TEN.factor({trialDivisionLimit: 1048577});
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.TEN.factor({ecmBound: 1048577});
+}, BigIntegerRangeError);
+
+
+/** Test and(...) **/
+
+// Test with positive numbers.
+assertEquals(new BigInteger(8), new BigInteger(12).and(new BigInteger(10)));
+
+// Test with a positive and a negative number.
+assertEquals(new BigInteger('123456788933793542183975452690'),
+    new BigInteger('123456789012345678901234567890').and(new BigInteger('-98765432109876543210')));
+
+// Test with two negative numbers.
+assertEquals(new BigInteger(-12), new BigInteger(-12).and(new BigInteger(-10)));
+
+
+/** Test or(...) **/
+
+// Test with positive numbers.
+assertEquals(new BigInteger(14), new BigInteger(12).or(new BigInteger(10)));
+
+// Test with a positive and a negative number.
+assertEquals(new BigInteger('-20213295392617428010'),
+    new BigInteger('123456789012345678901234567890').or(new BigInteger('-98765432109876543210')));
+
+
+/** Test xor(...) **/
+
+// Test with positive numbers.
+assertEquals(new BigInteger(6), new BigInteger(12).xor(new BigInteger(10)));
+
+// Test with a positive and a negative number.
+assertEquals(new BigInteger('-123456788954006837576592880700'),
+    new BigInteger('123456789012345678901234567890').xor(new BigInteger('-98765432109876543210')));
+
+
+/** Test andNot(...) **/
+
+// Test with positive numbers.
+assertEquals(new BigInteger(4), new BigInteger(12).andNot(new BigInteger(10)));
+
+// Test with a positive and a negative number.
+assertEquals(new BigInteger('78552136717259115200'),
+    new BigInteger('123456789012345678901234567890').andNot(
+        new BigInteger('-98765432109876543210')));
+
+
+/** Test not() **/
+
+// Test with zero.
+assertEquals(BigInteger.NEGATIVE_ONE, BigInteger.ZERO.not());
+
+// Test with a large number.
+assertEquals(new BigInteger('-123456789012345678901234567891'),
+    new BigInteger('123456789012345678901234567890').not());
+
+
+/** Test shiftLeft(...) **/
+
+// Test with a distance of zero.
+assertEquals(new BigInteger(5), new BigInteger(5).shiftLeft(0));
+
+// Test with a large distance.
+assertEquals(new BigInteger('156500072693749876333549759454926973536814597484617284976640'),
+    new BigInteger('123456789012345678901234567890').shiftLeft(100));
+
+// Test with a negative number.
+assertEquals(new BigInteger(-40), new BigInteger(-5).shiftLeft(3));
+
+// Test that a negative distance shifts right.
+assertEquals(new BigInteger(5), new BigInteger(40).shiftLeft(-3));
+
+
+/** Test shiftRight(...) **/
+
+// Test with a positive number.
+assertEquals(new BigInteger('112283295504626656'),
+    new BigInteger('123456789012345678901234567890').shiftRight(40));
+
+// Test that negative numbers are rounded towards negative infinity.
+assertEquals(new BigInteger('-112283295504626657'),
+    new BigInteger('-123456789012345678901234567890').shiftRight(40));
+assertEquals(BigInteger.NEGATIVE_ONE, new BigInteger('-123456789012345678901234567890')
+    .shiftRight(500));
+
+// Test that a positive number shifted past its length is zero.
+assertEquals(BigInteger.ZERO, new BigInteger('123456789012345678901234567890').shiftRight(500));
+
+// Test that a negative distance shifts left.
+assertEquals(new BigInteger(40), new BigInteger(5).shiftRight(-3));
+
+
+/** Test testBit(...) **/
+
+// Test with a positive number.
+assertTrue(new BigInteger(5).testBit(0));
+assertFalse(new BigInteger(5).testBit(1));
+assertFalse(new BigInteger('123456789012345678901234567890').testBit(77));
+assertFalse(new BigInteger('123456789012345678901234567890').testBit(500));
+
+// Test with a negative number.
+assertFalse(new BigInteger(-2).testBit(0));
+assertTrue(new BigInteger('-123456789012345678901234567890').testBit(77));
+assertTrue(new BigInteger('-123456789012345678901234567890').testBit(500));
+
+
+/** Test setBit(...) **/
+
+// Test setting a bit that is not set.
+assertEquals(new BigInteger('1329228119241704885249485961514912466'),
+    new BigInteger('123456789012345678901234567890').setBit(120));
+
+// Test setting a bit that is already set.
+assertEquals(new BigInteger(5), new BigInteger(5).setBit(2));
+
+
+/** Test clearBit(...) **/
+
+// Test clearing a bit of a negative number.
+assertEquals(new BigInteger('-123456789012345678901234567898'),
+    new BigInteger('-123456789012345678901234567890').clearBit(3));
+
+// Test clearing a bit that is not set.
+assertEquals(new BigInteger(5), new BigInteger(5).clearBit(1));
+
+
+/** Test flipBit(...) **/
+
+// Test flipping a bit of a positive number.
+assertEquals(new BigInteger(7), new BigInteger(5).flipBit(1));
+
+// Test flipping a bit of a negative number far beyond its length.
+assertEquals(
+    new BigInteger('-1606938044258990275541962092341286059311215339461694069869266'),
+    new BigInteger('-123456789012345678901234567890').flipBit(200));
+
+// Test that fractional, NaN and infinite distances and bit indices are rejected.
+[1.5, NaN, Infinity, -Infinity].forEach(function(invalid) {
+    ['shiftLeft', 'shiftRight', 'testBit', 'setBit', 'clearBit', 'flipBit'].forEach(function(name) {
+        assertThrows(function() {
+            new BigInteger(1000)[name](invalid);
+        }, BigIntegerRangeError);
+    });
+});
+
+// Test that negative bit indices are rejected.
+['testBit', 'setBit', 'clearBit', 'flipBit'].forEach(function(name) {
+    assertThrows(function() {
+        new BigInteger(1000)[name](-1);
+    }, BigIntegerRangeError);
+});
+
+
+/** Test bitLength() **/
+
+// Test with zero and negative one.
+assertEquals(0, BigInteger.ZERO.bitLength());
+assertEquals(0, BigInteger.NEGATIVE_ONE.bitLength());
+
+// Test with powers of two.
+assertEquals(9, new BigInteger(256).bitLength());
+assertEquals(8, new BigInteger(-256).bitLength());
+
+// Test with large numbers.
+assertEquals(97, new BigInteger('123456789012345678901234567890').bitLength());
+assertEquals(97, new BigInteger('-123456789012345678901234567890').bitLength());
+
+
+/** Test bitCount() **/
+
+// Test with zero and negative one.
+assertEquals(0, BigInteger.ZERO.bitCount());
+assertEquals(0, BigInteger.NEGATIVE_ONE.bitCount());
+
+// Test with large numbers.
+assertEquals(54, new BigInteger('123456789012345678901234567890').bitCount());
+assertEquals(54, new BigInteger('-123456789012345678901234567890').bitCount());
+
+
+/** Test fromBigInt(...) and toBigInt() **/
+
+if (typeof BigInt === 'function') {
+
+    // Test with zero and small numbers.
+    assertEquals(BigInteger.ZERO, BigInteger.fromBigInt(BigInt(0)));
+    assertEquals(new BigInteger(-42), BigInteger.fromBigInt(BigInt(-42)));
+    assertTrue(BigInteger.ZERO.toBigInt() === BigInt(0));
+    assertTrue(new BigInteger(-42).toBigInt() === BigInt(-42));
+
+    // Test with large numbers.
+    var large = '-123456789012345678901234567890123456789012345678901234567890';
+    assertEquals(new BigInteger(large), BigInteger.fromBigInt(BigInt(large)));
+    assertTrue(new BigInteger(large).toBigInt() === BigInt(large));
+    assertEquals(BigInteger.ONE.shiftLeft(1000), BigInteger.fromBigInt(BigInt(1) << BigInt(1000)));
+
+    // Test values that are not BigInts.
+    assertThrows(function() {
+        BigInteger.fromBigInt(42);
+    }, BigIntegerTypeError);
+}
+
+
+/** Test toBytes(...) and fromBytes(...) **/
+
+// Test unsigned numbers in both byte orders.
+var number = new BigInteger('1311768467463790320');
+assertEquals('18,52,86,120,154,188,222,240', number.toBytes().join());
+assertEquals('240,222,188,154,120,86,52,18', number.toBytes({ endian: 'little' }).join());
+assertEquals(number, BigInteger.fromBytes(number.toBytes()));
+assertEquals(number, BigInteger.fromBytes(number.toBytes({ endian: 'little' }),
+    { endian: 'little' }));
+assertTrue(number.toBytes() instanceof Uint8Array);
+
+// Test zero, which needs one byte unless a length of zero is requested.
+assertEquals('0', BigInteger.ZERO.toBytes().join());
+assertEquals(0, BigInteger.ZERO.toBytes({ length: 0 }).length);
+assertEquals(BigInteger.ZERO, BigInteger.fromBytes([]));
+assertEquals(BigInteger.ZERO, BigInteger.fromBytes([0, 0, 0]));
+
+// Test signed numbers in two's complement, which need room for the sign bit.
+assertEquals('0,128', new BigInteger(128).toBytes({ signed: true }).join());
+assertEquals('128', new BigInteger(-128).toBytes({ signed: true }).join());
+assertEquals('255,127', new BigInteger(-129).toBytes({ signed: true }).join());
+assertEquals('255', BigInteger.NEGATIVE_ONE.toBytes({ signed: true }).join());
+assertEquals(new BigInteger(-129), BigInteger.fromBytes([255, 127], { signed: true }));
+assertEquals(new BigInteger(65407), BigInteger.fromBytes([255, 127]));
+assertEquals(new BigInteger(127), BigInteger.fromBytes([0, 127], { signed: true }));
+
+// Test padding to a fixed length.
+assertEquals('0,0,1,0', new BigInteger(256).toBytes({ length: 4 }).join());
+assertEquals('0,1,0,0', new BigInteger(256).toBytes({ length: 4, endian: 'little' }).join());
+assertEquals('255,255,255,254', new BigInteger(-2).toBytes({ signed: true, length: 4 }).join());
+assertEquals(new BigInteger(-2), BigInteger.fromBytes([255, 255, 255, 254], { signed: true }));
+
+// Test large numbers, whose bytes span several digits.
+var large = new BigInteger('-123456789012345678901234567890123456789012345678901234567890');
+assertEquals(large, BigInteger.fromBytes(large.toBytes({ signed: true }), { signed: true }));
+assertEquals(large.negate(), BigInteger.fromBytes(large.negate().toBytes({ length: 40 })));
+assertEquals(BigInteger.ONE.shiftLeft(1000), BigInteger.fromBytes(
+    BigInteger.ONE.shiftLeft(1000).toBytes({ endian: 'little' }), { endian: 'little' }));
+
+// Test other kinds of arrays and buffers.
+var buffer = new ArrayBuffer(8);
+var view = new DataView(buffer);
+view.setUint32(0, 0x01020304);
+view.setInt32(4, -2);
+assertEquals(new BigInteger(16909060), BigInteger.fromBytes(new DataView(buffer, 0, 4)));
+assertEquals(new BigInteger(-2), BigInteger.fromBytes(new DataView(buffer, 4), { signed: true }));
+assertEquals(new BigInteger('72623864001069054'), BigInteger.fromBytes(buffer));
+assertEquals(new BigInteger(-2), BigInteger.fromBytes(new Int32Array([-2]), { signed: true,
+    endian: 'little' }));
+view = new DataView(new BigInteger(-5).toBytes({ signed: true, length: 4 }).buffer);
+assertEquals(-5, view.getInt32(0));
+if (typeof Buffer === 'function') {
+    var bytes = new BigInteger(255).toBytes({ signed: true });
+    assertEquals('00ff', Buffer.from(bytes).toString('hex'));
+    assertEquals(new BigInteger(-255), BigInteger.fromBytes(Buffer.from('ff01', 'hex'),
+        { signed: true }));
+}
+
+// Test numbers that do not fit.
+assertThrows(function() {
+    new BigInteger(256).toBytes({ length: 1 });
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(128).toBytes({ signed: true, length: 1 });
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(-1).toBytes();
+}, BigIntegerRangeError);
+
+// Test invalid options and bytes.
+assertThrows(function() {
+    BigInteger.ONE.toBytes({ length: 1.5 });
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.toBytes({ endian: 'middle' });
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.fromBytes([1, 256]);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.fromBytes('0102');
+}, BigIntegerTypeError);
+
+
+/** Test toDER(), fromDER(...), readDER(...), toPEM(...) and fromPEM(...) **/
+
+// Test small numbers, which are encoded in the fewest bytes of two's complement.
+assertEquals('2,1,0', BigInteger.ZERO.toDER().join());
+assertEquals('2,1,127', new BigInteger(127).toDER().join());
+assertEquals('2,2,0,128', new BigInteger(128).toDER().join());
+assertEquals('2,1,128', new BigInteger(-128).toDER().join());
+assertEquals('2,2,255,127', new BigInteger(-129).toDER().join());
+assertEquals('2,3,1,0,1', new BigInteger(65537).toDER().join());
+assertTrue(BigInteger.ONE.toDER() instanceof Uint8Array);
+assertEquals(BigInteger.ZERO, BigInteger.fromDER([2, 1, 0]));
+assertEquals(new BigInteger(128), BigInteger.fromDER([2, 2, 0, 128]));
+assertEquals(new BigInteger(-129), BigInteger.fromDER([2, 2, 255, 127]));
+
+// Test lengths that need the long form.
+var number = BigInteger.ONE.shiftLeft(1015).subtract(BigInteger.ONE);
+assertEquals('2,127', Array.prototype.slice.call(number.toDER(), 0, 2).join());
+assertEquals(129, number.toDER().length);
+number = BigInteger.ONE.shiftLeft(1016);
+assertEquals('2,129,128,1,0', Array.prototype.slice.call(number.toDER(), 0, 5).join());
+assertEquals(number, BigInteger.fromDER(number.toDER()));
+number = BigInteger.ONE.shiftLeft(2100).negate();
+assertEquals('2,130,1,7,240', Array.prototype.slice.call(number.toDER(), 0, 5).join());
+assertEquals(number, BigInteger.fromDER(number.toDER()));
+
+// Test an INTEGER within other bytes.
+var result = BigInteger.readDER([48, 4, 2, 2, 255, 127, 5, 0], 2);
+assertEquals(new BigInteger(-129), result.value);
+assertEquals(6, result.next);
+assertEquals(new BigInteger(-129), BigInteger.fromDER([48, 4, 2, 2, 255, 127, 5, 0], 2));
+result = BigInteger.readDER([2, 1, 5, 5, 0]);
+assertEquals(new BigInteger(5), result.value);
+assertEquals(3, result.next);
+if (typeof Buffer === 'function') {
+    var buffer = Buffer.from('02030100010000', 'hex');
+    assertEquals(new BigInteger(65537), BigInteger.fromDER(buffer, 0));
+    assertEquals(5, BigInteger.readDER(buffer).next);
+}
+
+// Test reading consecutive INTEGERs from a SEQUENCE, such as the two of an ECDSA signature.
+var first = BigInteger.ONE.shiftLeft(255).subtract(new BigInteger(19));
+var second = new BigInteger(-42);
+var contents = Array.prototype.slice.call(first.toDER())
+    .concat(Array.prototype.slice.call(second.toDER()));
+var sequence = [48, contents.length].concat(contents);
+result = BigInteger.readDER(sequence, 2);
+assertEquals(first, result.value);
+assertEquals(36, result.next);
+result = BigInteger.readDER(sequence, result.next);
+assertEquals(second, result.value);
+assertEquals(sequence.length, result.next);
+
+// Test encodings that are not DER INTEGERs.
+[
+    [[], undefined],
+    [[3, 1, 0], undefined],
+    [[2], undefined],
+    [[2, 0], undefined],
+    [[2, 2, 0], undefined],
+    [[2, 2, 0, 127], undefined],
+    [[2, 2, 255, 128], undefined],
+    [[2, 129, 1, 0], undefined],
+    [[2, 128, 0, 0], undefined],
+    [[2, 130, 0, 128], undefined],
+    [[2, 1, 0, 0], undefined],
+    [[2, 1, 0], 3]
+].forEach(function(invalid) {
+    assertThrows(function() {
+        BigInteger.fromDER(invalid[0], invalid[1]);
+    }, BigIntegerEncodingError);
+    if (invalid[0].join() !== '2,1,0,0') {
+        assertThrows(function() {
+            BigInteger.readDER(invalid[0], invalid[1]);
+        }, BigIntegerEncodingError);
+    }
+});
+
+// Test that the position of the problem is carried by the error.
+try {
+    BigInteger.fromDER([2, 2, 0, 127]);
+    throw 'Expected contents with a redundant leading byte to throw.';
+} catch (error) {
+    assertTrue(error instanceof BigIntegerEncodingError);
+    assertEquals(2, error.position);
+    assertEquals('INTEGER contents at position 2 are not minimal.', error.message);
+}
+
+// Test invalid arguments.
+assertThrows(function() {
+    BigInteger.fromDER([2, 1, 0], -1);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.readDER([2, 1, 0], 0.5);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.fromDER('020100');
+}, BigIntegerTypeError);
+
+// Test PEM blocks.
+assertEquals('-----BEGIN INTEGER-----\nAgMBAAE=\n-----END INTEGER-----\n',
+    new BigInteger(65537).toPEM());
+assertEquals('-----BEGIN RSA EXPONENT-----\nAgMBAAE=\n-----END RSA EXPONENT-----\n',
+    new BigInteger(65537).toPEM('RSA EXPONENT'));
+assertEquals(new BigInteger(65537),
+    BigInteger.fromPEM('\n  -----BEGIN INTEGER-----\r\nAgMB\r\nAAE=\r\n-----END INTEGER-----'));
+assertEquals(new BigInteger(65537), BigInteger.fromPEM(new BigInteger(65537).toPEM('RSA EXPONENT'),
+    'RSA EXPONENT'));
+
+// Test that long PEM blocks are split into lines of 64 characters.
+number = BigInteger.ONE.shiftLeft(1016);
+var lines = number.toPEM().split('\n');
+assertEquals(6, lines.length);
+assertEquals('AoGAAQAAAA', lines[1].substr(0, 10));
+assertEquals(64, lines[1].length);
+assertEquals(48, lines[3].length);
+assertEquals('', lines[5]);
+assertEquals(number, BigInteger.fromPEM(number.toPEM()));
+
+// Test text that is not a PEM block of an INTEGER.
+[
+    '',
+    'AgMBAAE=',
+    '-----BEGIN INTEGER-----\nAgMBAAE=\n',
+    '-----BEGIN INTEGER-----\nAgMBAAE=\n-----END INTEGER-----\nextra',
+    '-----BEGIN NUMBER-----\nAgMBAAE=\n-----END NUMBER-----\n',
+    '-----BEGIN INTEGER-----\nAgMBAAE\n-----END INTEGER-----\n',
+    '-----BEGIN INTEGER-----\nAgMBAAF=\n-----END INTEGER-----\n',
+    '-----BEGIN INTEGER-----\nAgMB=AAE\n-----END INTEGER-----\n',
+    '-----BEGIN INTEGER-----\nAgMBAA.=\n-----END INTEGER-----\n',
+    '-----BEGIN INTEGER-----\nAgIAfw==\n-----END INTEGER-----\n'
+].forEach(function(invalid) {
+    assertThrows(function() {
+        BigInteger.fromPEM(invalid);
+    }, BigIntegerEncodingError);
+});
+
+// Test invalid arguments.
+assertThrows(function() {
+    BigInteger.ONE.toPEM('-INTEGER');
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.toPEM(7);
+}, BigIntegerTypeError);
+assertThrows(function() {
+    BigInteger.fromPEM(null);
+}, BigIntegerTypeError);
+
+
+/** Test setBackend(...) **/
+
+// Test the default backend.
+assertEquals('digits', BigInteger.getBackend());
+
+// Test an unknown backend.
+assertThrows(function() {
+    BigInteger.setBackend('gmp');
+}, BigIntegerRangeError);
+assertEquals('digits', BigInteger.getBackend());
+
+if (typeof BigInt === 'function') {
+
+    /**
+     * Applies the arithmetic methods to pairs of numbers, recording either the result or the name
+     * of the error thrown.
+     *
+     * @param {Array} numbers The BigIntegers to which the methods are applied.
+     *
+     * @return {Array} The results, as strings.
+     */
+    var applyArithmetic = function(numbers) {
+        var results = [];
+        var record = function(func) {
+            try {
+                var result = func();
+                results.push(result instanceof BigInteger ? result.toString()
+                    : result.quotient.toString() + ' ' + result.remainder.toString());
+            } catch (error) {
+                results.push(error.name);
+            }
+        }
+
+        numbers.forEach(function(a) {
+            record(function() { return a.square(); });
+            record(function() { return a.pow(5); });
+            record(function() { return a.shiftLeft(75); });
+            record(function() { return a.shiftRight(75); });
+            record(function() { return a.isPrime() ? BigInteger.ONE : BigInteger.ZERO; });
+
+            numbers.forEach(function(b) {
+                ['add', 'subtract', 'multiply', 'divide', 'divideAndRemainder', 'modulo', 'mod',
+                        'divideFloor', 'and', 'or', 'xor', 'gcd'].forEach(function(name) {
+                    record(function() { return a[name](b); });
+                });
+                record(function() { return a.modPow(new BigInteger(65537), b); });
+                record(function() { return a.modPow(BigInteger.NEGATIVE_ONE, b); });
+            });
+        });
+
+        return results;
+    }
+
+    var numbers = [
+        BigInteger.ZERO, BigInteger.ONE, new BigInteger(-7), new BigInteger(67108864),
+        new BigInteger('170141183460469231731687303715884105727'),
+        new BigInteger('-98765432109876543210987654321098765432109876543210'),
+        BigInteger.ONE.shiftLeft(521).subtract(BigInteger.ONE)
+    ];
+
+    // Test that both backends give the same results and throw the same errors.
+    var digitResults = applyArithmetic(numbers);
+    BigInteger.setBackend('bigint');
+    assertEquals('bigint', BigInteger.getBackend());
+    var bigintResults = applyArithmetic(numbers);
+    BigInteger.setBackend('digits');
+    assertEquals('digits', BigInteger.getBackend());
+
+    assertEquals(digitResults.length, bigintResults.length);
+    for (var i = 0; i < digitResults.length; i++)
+        assertEquals(digitResults[i], bigintResults[i], 'Backends differ in result ' + i + '.');
+
+    // Test that the results of the BigInt backend are immutable.
+    BigInteger.setBackend('bigint');
+    assertTrue(Object.isFrozen(new BigInteger(12).multiply(new BigInteger(-5))));
+    BigInteger.setBackend('digits');
+}
+
+
+/** Test immutability **/
+
+// Test that the constants cannot be modified.
+var constants = ['ZERO', 'ONE', 'TWO', 'THREE', 'TEN', 'NEGATIVE_ONE', 'BASE_AS_BIGINTEGER',
+    'MAX_NATIVE'];
+var constantStrings = constants.map(function(name) {
+    return BigInteger[name].toString();
+});
+constants.forEach(function(name) {
+    assertTrue(Object.isFrozen(BigInteger[name]), name + ' is not frozen.');
+    assertTrue(Object.isFrozen(BigInteger[name].digits), 'Digits of ' + name + ' are not frozen.');
+});
+assertThrows(function() {
+    'use strict';
+    BigInteger.ZERO.negative = true;
+}, TypeError);
+assertThrows(function() {
+    'use strict';
+    BigInteger.ONE.digits[0] = 2;
+}, TypeError);
+assertThrows(function() {
+    'use strict';
+    BigInteger.TEN.digits.push(1);
+}, TypeError);
+
+// Test operations that used to modify their operands or the constants.
+BigInteger.ZERO.multiply(BigInteger.NEGATIVE_ONE);
+BigInteger.NEGATIVE_ONE.multiply(BigInteger.ZERO);
+BigInteger.valueOf('-0', 16);
+BigInteger.NEGATIVE_ONE.add(BigInteger.NEGATIVE_ONE);
+BigInteger.ONE.subtract(BigInteger.TEN);
+BigInteger.NEGATIVE_ONE.subtract(BigInteger.TEN);
+BigInteger.TEN.shiftLeft(100).shiftRight(100);
+BigInteger.NEGATIVE_ONE.and(BigInteger.TEN);
+BigInteger.random(BigInteger.TEN);
+BigInteger.MAX_NATIVE.toString(7);
+constants.forEach(function(name, i) {
+    assertEquals(constantStrings[i], BigInteger[name].toString(), name + ' was modified.');
+});
+assertFalse(BigInteger.ZERO.negative);
+
+// Test that results and the digits they were created from are frozen.
+var digits = [5, 7];
+var number = new BigInteger(digits, false);
+assertTrue(Object.isFrozen(number));
+assertTrue(Object.isFrozen(digits));
+[
+    number.add(BigInteger.ONE), number.subtract(BigInteger.TEN), number.multiply(number),
+    number.square(), number.divide(BigInteger.THREE), number.modulo(BigInteger.THREE),
+    number.pow(40), number.negate(), number.shiftLeft(3), number.xor(BigInteger.NEGATIVE_ONE),
+    new BigInteger('-123'), new BigInteger(-123), BigInteger.valueOf('-7b', 16)
+].forEach(function(result) {
+    assertTrue(Object.isFrozen(result));
+    assertTrue(Object.isFrozen(result.digits));
+});
+
+// Test that converting to a string leaves the number unchanged.
+var number = new BigInteger('-000123');
+assertEquals('-123', number.toString());
+assertEquals('-1111011', number.toString(2));
+assertEquals('-123', number.toString());
+
+// Test that a negative zero cannot be created.
+assertFalse(new BigInteger([], true).negative);
+assertFalse(new BigInteger('-0').negative);
+assertFalse(BigInteger.NEGATIVE_ONE.multiply(BigInteger.ZERO).negative);
+
+
+/** Test errors **/
+
+// Test that every error is part of the hierarchy.
+[BigIntegerDivisionByZeroError, BigIntegerRangeError, BigIntegerTypeError, BigIntegerParseError,
+        BigIntegerNoInverseError, BigIntegerNoSquareRootError, BigIntegerNoSolutionError,
+        BigIntegerEncodingError].forEach(function(errorType) {
+    assertTrue(errorType.prototype instanceof BigIntegerError);
+    assertTrue(errorType.prototype instanceof Error);
+});
+
+// Test division by zero.
+[
+    function() { new BigInteger(7).divide(BigInteger.ZERO); },
+    function() { new BigInteger(7).divideAndRemainder(BigInteger.ZERO); },
+    function() { new BigInteger(7).divideFloor(BigInteger.ZERO); },
+    function() { new BigInteger(7).modulo(BigInteger.ZERO); },
+    function() { new BigInteger(7).mod(BigInteger.ZERO); },
+    function() { new BigInteger(7).modInverse(BigInteger.ZERO); },
+    function() { new BigInteger(7).modPow(BigInteger.TWO, BigInteger.ZERO); }
+].forEach(function(func) {
+    assertThrows(func, BigIntegerDivisionByZeroError);
+});
+
+// Test that the operands are carried by the error.
+try {
+    new BigInteger(-42).divide(BigInteger.ZERO);
+    throw 'Expected division by zero to throw.';
+} catch (error) {
+    assertTrue(error instanceof BigIntegerDivisionByZeroError);
+    assertEquals(new BigInteger(-42), error.dividend);
+    assertEquals(BigInteger.ZERO, error.divisor);
+    assertEquals('BigIntegerDivisionByZeroError', error.name);
+    assertEquals('Division of -42 by zero.', error.message);
+    assertTrue(error.stack.indexOf('BigIntegerDivisionByZeroError') !== -1);
+}
+
+// Test values out of range.
+assertThrows(function() {
+    new BigInteger(7).toString(37);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    BigInteger.ONE.shiftLeft(60).toNumber();
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(7).pow(-1);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(7).isPrime(0);
+}, BigIntegerRangeError);
+assertThrows(function() {
+    new BigInteger(7).testBit(-1);
+}, BigIntegerRangeError);
+try {
+    new BigInteger(7).toString(1);
+    throw 'Expected an invalid base to throw.';
+} catch (error) {
+    assertTrue(error instanceof BigIntegerRangeError);
+    assertEquals(1, error.value);
+}
+
+// Test arguments of the wrong type.
+assertThrows(function() {
+    new BigInteger(7).compare(7);
+}, BigIntegerTypeError);
+assertThrows(function() {
+    new BigInteger(7).pow('2');
+}, BigIntegerTypeError);
+assertThrows(function() {
+    new BigInteger(7).shiftLeft('2');
+}, BigIntegerTypeError);
+assertThrows(function() {
+    new BigInteger(7).flipBit('2');
+}, BigIntegerTypeError);
+assertThrows(function() {
+    BigInteger.max();
+}, BigIntegerTypeError);
+
+// Test that a number without an inverse is carried by the error.
+try {
+    new BigInteger(6).modInverse(new BigInteger(9));
+    throw 'Expected a missing inverse to throw.';
+} catch (error) {
+    assertTrue(error instanceof BigIntegerNoInverseError);
+    assertTrue(error instanceof BigIntegerError);
+    assertEquals(new BigInteger(6), error.value);
+    assertEquals(new BigInteger(9), error.modulus);
+}
+
+// Test the message of a parse error.
+assertEquals('Unexpected character \'a\' at position 2 of "12a4".',
+    new BigIntegerParseError('12a4', 2).message);
+assertEquals('Unexpected end of "-".', new BigIntegerParseError('-', 1).message);
+
+
+/** Benchmark conversions of 10,000-digit numbers. **/
+
+// Build a 10,000-digit decimal string.
+var decimalString = '';
+for (var i = 0; i < 10000; i++)
+    decimalString += (7 * i + 3) % 10;
+
+var largeNumber = benchmark('Parse 10,000 decimal digits', function() {
+    return new BigInteger(decimalString);
+});
+
+// Construct from the digits, so that the decimal string is not cached.
+assertEquals(decimalString, benchmark('Convert 10,000 digits to decimal', function() {
+    return new BigInteger(largeNumber.digits, false).toString();
+}));
+assertEquals(decimalString, benchmark('Convert 10,000 digits to decimal by repeated division',
+    function() {
+        return repeatedDivisionToString(largeNumber, 10);
+    }));
+
+var hexString = benchmark('Convert 10,000 digits to hexadecimal', function() {
+    return largeNumber.toString(16);
+});
+assertEquals(hexString, benchmark('Convert 10,000 digits to hexadecimal by repeated division',
+    function() {
+        return repeatedDivisionToString(largeNumber, 16);
+    }));
+
+assertEquals(largeNumber, benchmark('Parse 8,305 hexadecimal digits', function() {
+    return BigInteger.valueOf(hexString, 16);
+}));
+assertEquals(largeNumber, benchmark('Parse 8,305 hexadecimal digits by repeated multiplication',
+    function() {
+        return repeatedMultiplicationValueOf(hexString, 16);
+    }));
+
+
+/** Benchmark squaring of 10,000-digit numbers. **/
+
+// Multiplying by an equal but distinct number cannot use the squaring routine.
+var largeCopy = new BigInteger(largeNumber.digits.slice(), false);
+var largeSquare = benchmark('Square 10,000 digits', function() {
+    return largeNumber.square();
+});
+assertEquals(largeSquare, benchmark('Square 10,000 digits by multiplication', function() {
+    return largeNumber.multiply(largeCopy);
+}));
+
+esModuleTested.then(function() {
+    console.log('Testing complete.');
+}, function(error) {
+    console.log(error);
+    if (typeof process === 'object')
+        process.exitCode = 1;
+});
 
 
 /**
@@ -574,3 +2660,96 @@ function assertFalse(expression, message) {
     if (expression)
         throw message;
 }
+
+
+/**
+ * Asserts that a function throws an error of a specific type.
+ *
+ * @param {function} func The function that is expected to throw.
+ * @param {function} errorType The constructor of the expected error.
+ * @param {string} message Optional. A message to display if the function does not throw the error.
+ */
+function assertThrows(func, errorType, message) {
+    if (message === undefined)
+        message = 'Expected an error of type ' + errorType.name + ' to be thrown.';
+
+    try {
+        func();
+    } catch (error) {
+        if (error instanceof errorType)
+            return;
+    }
+    throw message;
+}
+
+
+/**
+ * Runs a function and logs how long it took.
+ *
+ * @param {string} description A description of what the function does.
+ * @param {function} func The function to be timed.
+ *
+ * @return {object} The value returned by the function.
+ */
+function benchmark(description, func) {
+    var start = Date.now();
+    var result = func();
+    console.log(description + ': ' + (Date.now() - start) + ' ms');
+    return result;
+}
+
+
+/**
+ * Writes the prime factors returned by factor as a string, such as '2^3 3^2 5'.
+ *
+ * @param {Array} factors The prime factors.
+ *
+ * @return {string} The prime factors, with their exponents if they are greater than one.
+ */
+function factorizationToString(factors) {
+    return factors.map(function(factor) {
+        return factor.prime.toString() + (factor.exponent > 1 ? '^' + factor.exponent : '');
+    }).join(' ');
+}
+
+
+/**
+ * Converts a non-negative BigInteger to a string by repeatedly dividing it by the base, which is
+ * how toString worked before the digits of a BigInteger were stored in a power-of-two base. Used
+ * as a baseline for benchmarks.
+ *
+ * @param {BigInteger} number The BigInteger to be converted.
+ * @param {number} base The base of the string.
+ *
+ * @return {string} The string representation of the number.
+ */
+function repeatedDivisionToString(number, base) {
+    var str = '';
+    var bigBase = new BigInteger(base);
+
+    while (!number.isZero()) {
+        str = number.modulo(bigBase).toNumber().toString(base).toUpperCase() + str;
+        number = number.divide(bigBase);
+    }
+    return str;
+}
+
+
+/**
+ * Parses a string of characters by repeatedly multiplying by the base, which is how valueOf worked
+ * before the digits of a BigInteger were stored in a power-of-two base. Used as a baseline for
+ * benchmarks.
+ *
+ * @param {string} str The string of characters, without a sign.
+ * @param {number} base The base of the string.
+ *
+ * @return {BigInteger} The parsed BigInteger.
+ */
+function repeatedMultiplicationValueOf(str, base) {
+    var result = BigInteger.ZERO;
+    var bigBase = new BigInteger(base);
+
+    for (var i = 0; i < str.length; i++)
+        result = result.multiply(bigBase).add(new BigInteger(parseInt(str.charAt(i), base)));
+    return result;
+}
@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2015 Adam Heins
+ *
+ * This file is part of the BigInteger.js project, which is distributed under the MIT license.
+ * For the full terms, see the included license file.
+ */
+
+
+/**
+ * Statistical timing test for modPowSecure, in the style of dudect. Modular powers are timed with
+ * two classes of exponents, a fixed exponent with a single set bit and random exponents with the
+ * same number of bits, in a random order. Welch's t-test then checks whether the two classes take
+ * different times on average. An absolute t value above the threshold means that the timing leaks
+ * information about the exponent. modPow is measured the same way as a control, which should leak,
+ * to show that the test is sensitive enough to notice.
+ *
+ * Timing depends on the machine and its load, so this is not part of the unit tests. Run it with
+ * 'npm run timing', or 'node bigintegertiming.js [samples] [bits]'.
+ */
+var BigInteger = require('./biginteger.js');
+
+var SAMPLES = Number(process.argv[2]) || 2000;
+var BITS = Number(process.argv[3]) || 256;
+
+// The absolute t value above which the classes are considered to take different times.
+var THRESHOLD = 4.5;
+
+// The fraction of the slowest measurements that are discarded, which are mostly interruptions.
+var CROP = 0.05;
+
+
+/**
+ * Calculates the mean and variance of a sample.
+ *
+ * @param {Array} values The measurements.
+ *
+ * @return {Object} An object with the properties 'mean' and 'variance'.
+ */
+function statistics(values) {
+    var mean = 0;
+    for (var i = 0; i < values.length; i++)
+        mean += values[i];
+    mean /= values.length;
+
+    var variance = 0;
+    for (var i = 0; i < values.length; i++)
+        variance += (values[i] - mean) * (values[i] - mean);
+    variance /= values.length - 1;
+
+    return { mean: mean, variance: variance };
+}
+
+
+/**
+ * Calculates Welch's t statistic for the difference between the means of two samples.
+ *
+ * @param {Array} first The first sample.
+ * @param {Array} second The second sample.
+ *
+ * @return {Number} The t statistic.
+ */
+function welchT(first, second) {
+    var a = statistics(first);
+    var b = statistics(second);
+    return (a.mean - b.mean) / Math.sqrt(a.variance / first.length + b.variance / second.length);
+}
+
+
+/**
+ * Times an operation for both classes of exponents.
+ *
+ * @param {Function} operation The operation, which takes an exponent.
+ * @param {Array} fixed The exponents of the fixed class, one for each sample.
+ * @param {Array} random The exponents of the random class, one for each sample.
+ *
+ * @return {Object} An object with the properties 'fixed' and 'random', the times of each class in
+ *     nanoseconds, with the slowest measurements discarded.
+ */
+function measure(operation, fixed, random) {
+
+    // Warm up, so that the first measurements are not slowed down by compilation.
+    for (var i = 0; i < 50; i++)
+        operation(i % 2 === 0 ? fixed[i] : random[i]);
+
+    var times = { fixed: [], random: [] };
+    var all = [];
+    for (var i = 0; i < fixed.length; i++) {
+        var useFixed = Math.random() < 0.5;
+        var exponent = useFixed ? fixed[i] : random[i];
+
+        var start = process.hrtime();
+        operation(exponent);
+        var elapsed = process.hrtime(start);
+        var time = elapsed[0] * 1e9 + elapsed[1];
+
+        (useFixed ? times.fixed : times.random).push(time);
+        all.push(time);
+    }
+
+    var limit = all.sort(function(a, b) { return a - b; })[Math.floor(all.length * (1 - CROP))];
+    var isFast = function(time) {
+        return time <= limit;
+    };
+    return { fixed: times.fixed.filter(isFast), random: times.random.filter(isFast) };
+}
+
+
+var rng = BigInteger.seededRandomSource(23);
+var modulus = BigInteger.randomBits(BITS, rng).setBit(BITS - 1).setBit(0);
+var base = BigInteger.random(modulus, rng);
+
+var fixed = [];
+var random = [];
+for (var i = 0; i < SAMPLES; i++) {
+    fixed.push(BigInteger.ONE.shiftLeft(BITS - 1));
+    random.push(BigInteger.randomBits(BITS - 1, rng).setBit(BITS - 1));
+}
+
+console.log('Timing ' + SAMPLES + ' modular powers with ' + BITS + '-bit numbers.');
+
+var leaks = false;
+[
+    { name: 'modPowSecure', control: false, operation: function(exponent) {
+        return base.modPowSecure(exponent, modulus);
+    } },
+    { name: 'modPow', control: true, operation: function(exponent) {
+        return base.modPow(exponent, modulus);
+    } }
+].forEach(function(test) {
+    var times = measure(test.operation, fixed, random);
+    var t = welchT(times.fixed, times.random);
+    var leak = Math.abs(t) > THRESHOLD;
+
+    console.log(test.name + ': fixed ' + Math.round(statistics(times.fixed).mean / 1000) + ' us, '
+        + 'random ' + Math.round(statistics(times.random).mean / 1000) + ' us, t = '
+        + t.toFixed(2) + (leak ? ' (leaks)' : ' (no leak detected)')
+        + (test.control ? ', control' : ''));
+
+    if (leak && !test.control)
+        leaks = true;
+});
+
+if (leaks)
+    process.exitCode = 1;